@@ -0,0 +1,102 @@
+#!/usr/bin/env node
+// SpendLite from the command line: categorise statements with a rules file and print the
+// category totals (same layout as the page's text export) or the categorised transactions.
+const fs = require('fs');
+const path = require('path');
+const core = require('./core.js');
+
+const USAGE = `Usage: node cli.js <statement> [more statements…] --rules <rules.txt> [options]
+
+Statements can be CSV, OFX/QFX or QIF. Options:
+  --rules FILE         rules in the same format as the Rules box (required)
+  --month PERIOD       only this period: YYYY-MM, YYYY-Q1, YYYY, FY2025 or YYYY-MM-DD..YYYY-MM-DD
+  --csv                print the categorised transactions as CSV instead of totals
+  --json               print the totals as JSON
+  --profile ID         CSV layout (${core.BUILTIN_PROFILES.map(p => p.id).join(', ')}); detected when omitted
+  --date-format FMT    ${Object.keys(core.DATE_FORMATS).join(', ')} (default: auto)
+  --account NAME       account for the statements after it (default: ${core.DEFAULT_ACCOUNT}); equal amounts moving
+                       between accounts are matched as transfers and left out of the totals, as on the page
+  -h, --help           show this help`;
+
+class UsageError extends Error {}
+
+function parseArgs(argv) {
+  const opts = { files: [], rules: '', period: '', output: 'text', profile: '', dateFormat: 'auto' };
+  let account = core.DEFAULT_ACCOUNT;
+  const value = (i, flag) => {
+    if (argv[i + 1] == null || argv[i + 1].startsWith('--')) throw new UsageError(`${flag} needs a value`);
+    return argv[i + 1];
+  };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === '-h' || a === '--help') opts.help = true;
+    else if (a === '--rules') opts.rules = value(i++, a);
+    else if (a === '--month' || a === '--period') opts.period = value(i++, a);
+    else if (a === '--csv') opts.output = 'csv';
+    else if (a === '--json') opts.output = 'json';
+    else if (a === '--profile') opts.profile = value(i++, a);
+    else if (a === '--date-format') opts.dateFormat = value(i++, a);
+    else if (a === '--account') account = value(i++, a).trim() || core.DEFAULT_ACCOUNT;
+    else if (a.startsWith('-')) throw new UsageError(`unknown option ${a}`);
+    else opts.files.push({ file: a, account });
+  }
+  if (opts.help) return opts;
+  if (!opts.files.length) throw new UsageError('no statement file given');
+  if (!opts.rules) throw new UsageError('--rules is required');
+  if (opts.period && !core.periodRange(opts.period)) throw new UsageError(`unknown period "${opts.period}"`);
+  if (!core.DATE_FORMATS[opts.dateFormat]) throw new UsageError(`unknown date format "${opts.dateFormat}"`);
+  if (opts.profile && !core.BUILTIN_PROFILES.some(p => p.id === opts.profile)) throw new UsageError(`unknown profile "${opts.profile}"`);
+  return opts;
+}
+
+function loadStatements(files, profileId, dateFormat) {
+  const profile = core.BUILTIN_PROFILES.find(p => p.id === profileId) || null;
+  const txns = [];
+  for (const { file, account } of files) {
+    const parsed = core.parseStatement(fs.readFileSync(file, 'utf8'), path.basename(file), profile);
+    if (!parsed.txns) throw new Error(`${file}: unrecognised CSV layout – pass --profile`);
+    const format = parsed.dateFormat || core.resolveDateFormat(parsed.txns, dateFormat, parsed.profile && parsed.profile.dateFormat);
+    for (const t of parsed.txns) txns.push(core.normalizeTxnDate({ ...t, dateFormat: format, account }));
+  }
+  return txns;
+}
+
+function main(argv) {
+  const opts = parseArgs(argv);
+  if (opts.help) { console.log(USAGE); return; }
+  const rulesText = fs.readFileSync(opts.rules, 'utf8');
+  const rules = core.parseRules(rulesText);
+  for (const e of rules.errors) console.error(`${opts.rules}:${e.line}: ${e.reason}: ${e.text}`);
+
+  // Transfers are matched across everything loaded (as on the page), then the period is applied
+  let txns = loadStatements(opts.files, opts.profile, opts.dateFormat);
+  core.categorise(txns, rules);
+  const types = core.parseCategoryTypes(rulesText);
+  core.matchTransfers(txns, types);
+  const range = core.periodRange(opts.period);
+  if (range) txns = txns.filter(t => core.inPeriod(core.txnDate(t), range));
+
+  if (opts.output === 'csv') {
+    const rows = txns.map(t => {
+      const d = core.txnDate(t);
+      return [t.date, d ? core.yyyymm(d) : '', Number(t.amount).toFixed(2), t.category, t.description];
+    });
+    process.stdout.write(core.toCsv(['Date', 'Month', 'Amount', 'Category', 'Description'], rows) + '\r\n');
+    return;
+  }
+  // Same model and JSON as the page's totals export (detailed view, no category filter)
+  const model = core.totalsModel(txns, {
+    types, budgets: core.parseBudgets(rulesText), label: opts.period || 'All months',
+    months: /^\d{4}-\d{2}$/.test(opts.period) ? [opts.period] : core.txnMonths(txns),
+  });
+  if (opts.output === 'json') console.log(core.formatTotalsJson(model, { periodKey: opts.period || null, categoryFilter: null, transactions: txns.length }));
+  else console.log(core.formatTotalsText(model));
+}
+
+try {
+  main(process.argv.slice(2));
+} catch (err) {
+  console.error(`spendlite: ${err.message}`);
+  if (err instanceof UsageError) console.error(`Run "node cli.js --help" for usage.`);
+  process.exitCode = err instanceof UsageError ? 2 : 1;
+}
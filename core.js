@@ -0,0 +1,907 @@
+// SpendLite core: parsing, rule matching and totals with no DOM or storage access.
+// The page loads this before script.js and uses the functions as globals; Node gets them
+// through require('./core.js') (see cli.js).
+
+// --- Text + amounts
+function toTitleCase(str) {
+  if (!str) return '';
+  return String(str)
+    .toLowerCase()
+    .replace(/[_-]+/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(/\b([a-z])/g, (m, p1) => p1.toUpperCase());
+}
+
+function parseAmount(s) {
+  if (s == null) return 0;
+  s = String(s).replace(/[^\d\-,.]/g, '').replace(/,/g, '');
+  return Number(s) || 0;
+}
+
+// Text starting with = + - @ (or a tab/CR) would run as a formula in a spreadsheet, so it gets a
+// leading ' – except plain numbers like amounts, which stay as they are
+function csvCell(v) {
+  let str = v == null ? '' : String(v);
+  if (/^[=+\-@\t\r]/.test(str) && !/^[+-]?\d+(\.\d+)?$/.test(str)) str = `'${str}`;
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+function toCsv(header, rows) { return [header, ...rows].map(r => r.map(csvCell).join(',')).join('\r\n'); }
+
+// --- CSV
+// RFC 4180 fields: quotes around commas/newlines, "" for a literal quote. Blank lines are skipped and the
+// delimiter (comma, semicolon or tab) is taken from the first line.
+function detectDelimiter(line) {
+  const counts = [',', ';', '\t'].map(d => [d, line.split(d).length - 1]);
+  counts.sort((a, b) => b[1] - a[1]);
+  return counts[0][1] ? counts[0][0] : ',';
+}
+
+function parseCsv(text) {
+  const src = String(text || '').replace(/^\uFEFF/, '').trim();
+  const delim = detectDelimiter(src.split(/\r?\n/, 1)[0] || '');
+  const rows = [];
+  let row = [], field = '', quoted = false;
+  const endRow = () => {
+    row.push(field);
+    if (row.length > 1 || row[0].trim()) rows.push(row);
+    row = []; field = '';
+  };
+  for (let i = 0; i < src.length; i++) {
+    const c = src[i];
+    if (quoted) {
+      if (c !== '"') field += c;
+      else if (src[i + 1] === '"') { field += '"'; i++; }
+      else quoted = false;
+    } else if (c === '"' && !field.trim()) { quoted = true; field = ''; }
+    else if (c === delim) { row.push(field); field = ''; }
+    else if (c === '\n' || c === '\r') { if (c === '\r' && src[i + 1] === '\n') i++; endRow(); }
+    else field += c;
+  }
+  if (field || row.length) endRow();
+  return rows;
+}
+
+// --- Import profiles
+// A profile says where the date/description live and how amounts are laid out.
+// Column specs are either a 0-based index or a header name (case-insensitive).
+//   amountMode 'signed': one column, positive = debit (set negate when spending is negative)
+//   amountMode 'split':  separate debit/credit columns
+const BUILTIN_PROFILES = [
+  { id: 'legacy10', name: 'SpendLite 10-column export', header: false, minCols: 10,
+    date: 2, description: 9, amountMode: 'signed', amount: 5 },
+  { id: 'commbank', name: 'CommBank (Date, Amount, Description, Balance)', header: false, minCols: 3, maxCols: 4,
+    date: 0, description: 2, amountMode: 'signed', amount: 1, negate: true },
+  { id: 'westpac', name: 'Westpac', header: true,
+    match: ['date', 'narrative', 'debit amount', 'credit amount'],
+    date: 'date', description: 'narrative', amountMode: 'split', debit: 'debit amount', credit: 'credit amount' },
+  { id: 'nab', name: 'NAB', header: true,
+    match: ['date', 'amount', 'transaction details'],
+    date: 'date', description: 'transaction details', amountMode: 'signed', amount: 'amount', negate: true },
+  { id: 'ing', name: 'ING', header: true,
+    match: ['date', 'description', 'credit', 'debit'],
+    date: 'date', description: 'description', amountMode: 'split', debit: 'debit', credit: 'credit' },
+];
+
+// Header aliases used to guess a mapping for unknown exports
+const HEADER_ALIASES = {
+  date: ['date', 'transaction date', 'effective date', 'posted date', 'posting date', 'value date'],
+  description: ['description', 'long description', 'narrative', 'transaction details', 'details', 'memo', 'payee', 'merchant'],
+  amount: ['amount', 'transaction amount', 'value'],
+  debit: ['debit', 'debit amount', 'withdrawal', 'withdrawals', 'money out', 'paid out'],
+  credit: ['credit', 'credit amount', 'deposit', 'deposits', 'money in', 'paid in'],
+};
+
+function normHeader(s) { return String(s || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim(); }
+
+function resolveCol(spec, header) {
+  if (spec == null || spec === '') return -1;
+  if (typeof spec === 'number') return spec;
+  if (!header) return -1;
+  return header.map(normHeader).indexOf(normHeader(spec));
+}
+
+function looksLikeDataRow(r, profile) {
+  if (!r) return false;
+  const d = r[resolveCol(profile.date)];
+  const a = r[resolveCol(profile.amountMode === 'split' ? profile.debit : profile.amount)];
+  return !!parseDateSmart(d) && /\d/.test(String(a || ''));
+}
+
+function guessProfileFromHeader(header) {
+  const norm = header.map(normHeader);
+  const pick = (key) => norm.findIndex(h => HEADER_ALIASES[key].includes(h));
+  const date = pick('date'), description = pick('description');
+  if (date === -1 || description === -1) return null;
+  const debit = pick('debit'), credit = pick('credit'), amount = pick('amount');
+  const base = { id: 'guessed', name: 'Detected from header', header: true, date, description };
+  if (debit !== -1 && credit !== -1) return { ...base, amountMode: 'split', debit, credit };
+  if (amount !== -1) return { ...base, amountMode: 'signed', amount, negate: true };
+  return null;
+}
+
+// Pick a profile for the parsed rows: exact header match, header guess, then headerless layouts
+function detectProfile(rows, profiles = BUILTIN_PROFILES) {
+  if (!rows.length) return null;
+  const header = rows[0].map(normHeader);
+  for (const p of profiles) {
+    if (p.header && p.match && p.match.every(h => header.includes(normHeader(h)))) return p;
+  }
+  const guessed = guessProfileFromHeader(rows[0]);
+  if (guessed) return guessed;
+  const sample = rows.slice(0, 5);
+  for (const p of profiles) {
+    if (p.header) continue;
+    const width = rows[rows.length > 1 ? 1 : 0].length;
+    if (width < (p.minCols || 0) || (p.maxCols && width > p.maxCols)) continue;
+    if (sample.some(r => looksLikeDataRow(r, p))) return p;
+  }
+  return null;
+}
+
+function rowsToTxns(rows, profile) {
+  const header = profile.header ? rows[0] : null;
+  const col = {
+    date: resolveCol(profile.date, header),
+    description: resolveCol(profile.description, header),
+    amount: resolveCol(profile.amount, header),
+    debit: resolveCol(profile.debit, header),
+    credit: resolveCol(profile.credit, header),
+  };
+  const txns = [];
+  for (let i = profile.header ? 1 : 0; i < rows.length; i++) {
+    const r = rows[i];
+    if (!r || r.length <= Math.max(col.date, col.description)) continue;
+    const date = (r[col.date] || '').trim();
+    const description = (r[col.description] || '').trim();
+    let amount;
+    if (profile.amountMode === 'split') {
+      amount = Math.abs(parseAmount(r[col.debit])) - Math.abs(parseAmount(r[col.credit]));
+    } else {
+      amount = parseAmount(r[col.amount]);
+      if (profile.negate) amount = -amount;
+    }
+    if ((date || description) && Number.isFinite(amount) && amount !== 0) {
+      txns.push({ date, amount, description });
+    }
+  }
+  return txns;
+}
+
+// --- OFX / QFX / QIF statements
+function detectStatementFormat(fileName, text) {
+  const ext = String(fileName || '').toLowerCase().split('.').pop();
+  if (ext === 'ofx' || ext === 'qfx') return 'ofx';
+  if (ext === 'qif') return 'qif';
+  if (ext === 'csv') return 'csv';
+  const head = String(text || '').slice(0, 2000);
+  if (/OFXHEADER|<OFX>/i.test(head)) return 'ofx';
+  if (/^\s*!(Type|Account|Option)/im.test(head)) return 'qif';
+  return 'csv';
+}
+
+// OFX 1.x is SGML (closing tags optional), 2.x is XML – read both tag-by-tag
+function ofxTag(block, tag) {
+  const m = block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i'));
+  return m ? decodeOfxEntities(m[1].trim()) : '';
+}
+
+function decodeOfxEntities(s) {
+  return s.replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'").replace(/&amp;/g, '&');
+}
+
+// DTPOSTED looks like 20250903120000.000[+10:EST] – keep the calendar date only
+function ofxDate(s) {
+  const m = String(s || '').match(/^(\d{4})(\d{2})(\d{2})/);
+  return m ? `${m[1]}-${m[2]}-${m[3]}` : '';
+}
+
+function parseOfx(text) {
+  const txns = [];
+  const blocks = String(text || '').split(/<STMTTRN>/i).slice(1);
+  for (const raw of blocks) {
+    const block = raw.split(/<\/STMTTRN>|<\/BANKTRANLIST>/i)[0];
+    const date = ofxDate(ofxTag(block, 'DTPOSTED') || ofxTag(block, 'DTUSER'));
+    // OFX amounts are negative for money out; SpendLite stores debits as positive
+    const amount = -parseAmount(ofxTag(block, 'TRNAMT'));
+    const name = ofxTag(block, 'NAME') || ofxTag(block, 'PAYEE');
+    const memo = ofxTag(block, 'MEMO');
+    const description = [name, memo && memo !== name ? memo : ''].filter(Boolean).join(' ');
+    if ((date || description) && Number.isFinite(amount) && amount !== 0) {
+      txns.push({ date, amount, description });
+    }
+  }
+  return txns;
+}
+
+// QIF dates come as 3/9/25, 03/09/2025 or 3/ 9'25 – normalise to D/M/YYYY-style text
+function qifDate(s) {
+  const m = String(s || '').replace(/\s+/g, '').match(/^(\d{1,2})[\/\-.](\d{1,2})['\/\-.](\d{2,4})$/);
+  if (!m) return String(s || '').trim();
+  const y = m[3].length === 2 ? 2000 + Number(m[3]) : Number(m[3]);
+  return `${m[1]}/${m[2]}/${y}`;
+}
+
+function parseQif(text) {
+  const txns = [];
+  let cur = {};
+  const flush = () => {
+    const amount = -parseAmount(cur.T);
+    const description = [cur.P, cur.M && cur.M !== cur.P ? cur.M : ''].filter(Boolean).join(' ');
+    const date = qifDate(cur.D);
+    if ((date || description) && Number.isFinite(amount) && amount !== 0) {
+      txns.push({ date, amount, description });
+    }
+    cur = {};
+  };
+  for (const line of String(text || '').split(/\r?\n/)) {
+    if (!line.trim() || line.startsWith('!')) continue;
+    if (line.startsWith('^')) { if (Object.keys(cur).length) flush(); continue; }
+    const code = line[0], value = line.slice(1).trim();
+    if (code === 'U' && cur.T != null) continue; // U duplicates T
+    if ('DTUPM'.includes(code) && cur[code] == null) cur[code === 'U' ? 'T' : code] = value;
+  }
+  if (Object.keys(cur).length) flush();
+  return txns;
+}
+
+// Transactions from a statement file of any supported format; txns is null when a CSV matches no profile
+function parseStatement(text, fileName = '', profile = null, profiles = BUILTIN_PROFILES) {
+  const format = detectStatementFormat(fileName, text);
+  // OFX dates are already ISO (see ofxDate), so the date format is fixed rather than chosen
+  if (format === 'ofx') return { txns: parseOfx(text), source: 'OFX/QFX', dateFormat: 'YMD' };
+  if (format === 'qif') return { txns: parseQif(text), source: 'QIF' };
+  const rows = parseCsv(text);
+  profile = profile || detectProfile(rows, profiles);
+  return profile ? { txns: rowsToTxns(rows, profile), source: profile.name, profile, rows } : { txns: null, rows };
+}
+
+// --- Dates
+// 'auto' infers DD/MM vs MM/DD per file (AU preference when nothing decides); the others are strict.
+const DATE_FORMATS = {
+  auto: 'Auto (prefer DD/MM)',
+  DMY: 'DD/MM/YYYY',
+  MDY: 'MM/DD/YYYY',
+  YMD: 'YYYY-MM-DD (ISO)',
+  LONG: 'Long form (Mon 1 September, 2025)',
+};
+
+const MONTH_NAMES = ['january','february','march','april','may','june','july','august','september','october','november','december'];
+const NUMERIC_DATE = /^(\d{1,2})[\/\-.](\d{1,2})[\/\-.](\d{2}|\d{4})$/;
+const ISO_DATE = /^(\d{4})[\/\-.](\d{1,2})[\/\-.](\d{1,2})(?:[T\s].*)?$/;
+
+function makeDate(y, m, d) {
+  if (y < 100) y += 2000;
+  const date = new Date(y, m - 1, d);
+  return date.getFullYear() === y && date.getMonth() === m - 1 && date.getDate() === d ? date : null;
+}
+
+// "12:00am Mon 1 September, 2025", "1 Sep 2025", "September 1, 2025"
+function parseLongDate(s) {
+  const s2 = String(s).replace(/^\d{1,2}:\d{2}\s*(am|pm)?\s*/i, '').replace(/^(mon|tue|wed|thu|fri|sat|sun)[a-z]*,?\s*/i, '');
+  let m = s2.match(/^(\d{1,2})(?:st|nd|rd|th)?[\s\-]+([a-z]{3,9})[,\s\-]+(\d{2}|\d{4})\b/i);
+  if (m) {
+    const mi = MONTH_NAMES.findIndex(n => n.startsWith(m[2].toLowerCase()));
+    return mi === -1 ? null : makeDate(+m[3], mi + 1, +m[1]);
+  }
+  m = s2.match(/^([a-z]{3,9})\s+(\d{1,2})(?:st|nd|rd|th)?,?\s+(\d{4})\b/i);
+  if (m) {
+    const mi = MONTH_NAMES.findIndex(n => n.startsWith(m[1].toLowerCase()));
+    return mi === -1 ? null : makeDate(+m[3], mi + 1, +m[2]);
+  }
+  return null;
+}
+
+// Is this a numeric date where day and month could be swapped?
+function isAmbiguousDate(s) {
+  const m = String(s || '').trim().match(NUMERIC_DATE);
+  return !!m && +m[1] <= 12 && +m[2] <= 12 && +m[1] !== +m[2];
+}
+
+function parseDateSmart(s, format = 'auto') {
+  if (!s) return null;
+  const str = String(s).trim();
+  let m;
+  // Year-first dates can't be misread, so every format accepts them
+  if ((m = str.match(ISO_DATE))) return makeDate(+m[1], +m[2], +m[3]);
+  if (format === 'YMD') return null;
+  if (format === 'auto' || format === 'DMY' || format === 'MDY') {
+    if ((m = str.match(NUMERIC_DATE))) {
+      const a = +m[1], b = +m[2], y = +m[3];
+      const dmy = format === 'DMY' || (format === 'auto' && (a > 12 || b <= 12));
+      return dmy ? makeDate(y, b, a) : makeDate(y, a, b);
+    }
+    if (format !== 'auto') return null;
+  }
+  const long = parseLongDate(str);
+  if (long || format === 'LONG') return long;
+  // Last resort for other textual forms – never for purely numeric dates
+  if (/[a-z]/i.test(str)) {
+    const d = new Date(str);
+    if (!isNaN(d)) return d;
+  }
+  return null;
+}
+
+// Pick DMY or MDY for a file from its unambiguous rows (a day > 12 gives it away)
+function inferDateFormat(dates) {
+  let dmy = 0, mdy = 0;
+  for (const s of dates) {
+    const m = String(s || '').trim().match(NUMERIC_DATE);
+    if (!m) continue;
+    if (+m[1] > 12) dmy++;
+    else if (+m[2] > 12) mdy++;
+  }
+  if (mdy && !dmy) return 'MDY';
+  if (dmy && !mdy) return 'DMY';
+  return 'auto';
+}
+
+// Parse a stored transaction's date with the format its file was read with (see resolveDateFormat).
+// Imported transactions carry it pre-parsed as t.day ('YYYY-MM-DD', '' when unreadable) – see normalizeTxnDate.
+function txnDate(t) {
+  if (!t) return null;
+  if (t.day == null) return parseDateSmart(t.date, t.dateFormat || 'auto');
+  return t.day ? new Date(+t.day.slice(0, 4), +t.day.slice(5, 7) - 1, +t.day.slice(8, 10)) : null;
+}
+
+// Parse the date once and keep it on the transaction; call again whenever date or dateFormat change
+function normalizeTxnDate(t) {
+  const d = parseDateSmart(t.date, t.dateFormat || 'auto');
+  t.day = d ? isoDay(d) : '';
+  return t;
+}
+
+function txnDay(t) {
+  if (t.day != null) return t.day;
+  const d = txnDate(t);
+  return d ? isoDay(d) : '';
+}
+function txnMonth(t) { return txnDay(t).slice(0, 7); }
+
+function yyyymm(d) { return `${d.getFullYear()}-${String(d.getMonth()+1).padStart(2,'0')}`; }
+
+// First explicit format wins ('' and 'auto' are skipped), else whatever the dates themselves give away
+function resolveDateFormat(txns, ...preferred) {
+  const chosen = preferred.find(f => f && f !== 'auto');
+  return chosen || inferDateFormat(txns.map(t => t.date));
+}
+
+// --- Periods
+// A period key is one of: 'YYYY-MM' (month), 'YYYY-Q1'..'YYYY-Q4' (calendar quarter), 'YYYY' (calendar year),
+// 'FY2025' (AU financial year 1 Jul 2024 – 30 Jun 2025), 'last30' / 'last90' (days up to today)
+// or 'YYYY-MM-DD..YYYY-MM-DD' (custom, inclusive). '' means everything.
+const RECENT_PERIODS = { last30: 30, last90: 90 };
+
+function isoDay(d) { return `${yyyymm(d)}-${String(d.getDate()).padStart(2, '0')}`; }
+
+// { from, to } with `to` exclusive, or null for all time / an unknown key
+function periodRange(key) {
+  if (!key) return null;
+  let m;
+  if ((m = key.match(/^(\d{4})-(0[1-9]|1[0-2])$/))) return { from: new Date(+m[1], +m[2] - 1, 1), to: new Date(+m[1], +m[2], 1) };
+  if ((m = key.match(/^(\d{4})-Q([1-4])$/))) return { from: new Date(+m[1], (m[2] - 1) * 3, 1), to: new Date(+m[1], m[2] * 3, 1) };
+  if ((m = key.match(/^(\d{4})$/))) return { from: new Date(+m[1], 0, 1), to: new Date(+m[1] + 1, 0, 1) };
+  if ((m = key.match(/^FY(\d{4})$/))) return { from: new Date(m[1] - 1, 6, 1), to: new Date(+m[1], 6, 1) };
+  if (RECENT_PERIODS[key]) {
+    const now = new Date();
+    const to = new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1);
+    return { from: new Date(to.getFullYear(), to.getMonth(), to.getDate() - RECENT_PERIODS[key]), to };
+  }
+  if ((m = key.match(/^(\d{4}-\d{2}-\d{2})\.\.(\d{4}-\d{2}-\d{2})$/))) {
+    const from = parseRuleDate(m[1]), last = parseRuleDate(m[2]);
+    if (from && last) return { from, to: new Date(last.getFullYear(), last.getMonth(), last.getDate() + 1) };
+  }
+  return null;
+}
+
+function inPeriod(d, range) { return !!d && d >= range.from && d < range.to; }
+
+// --- Rules
+// Rule syntax (left of =>, space separated; plain words keep the classic ordered-substring match):
+//   /regex/flags      regex against the description (case-insensitive unless flags given; g and y are ignored)
+//   amount<=2         compare the absolute amount (<, <=, >, >=, =)
+//   type:debit        debit or credit only
+//   date>=2025-07-01  date bounds (YYYY-MM-DD, also <, <=, >, =)
+//   not:spotify       exclude descriptions containing the term
+//   priority:10       higher runs first (default 0); ties keep line order
+//   category:PETROL   refine: only applies to transactions another rule put in PETROL
+const RULE_REGEX_TOKEN = /(^|\s)\/((?:\\.|[^\/\\])+)\/([a-z]*)(?=\s|$)/g;
+const RULE_CMP = { '<': (a, b) => a < b, '<=': (a, b) => a <= b, '>': (a, b) => a > b, '>=': (a, b) => a >= b, '=': (a, b) => a === b };
+
+function parseRuleDate(s) {
+  const m = String(s).match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  return m ? new Date(+m[1], +m[2] - 1, +m[3]) : null;
+}
+
+// Returns null for a plain rule, or an error string
+function parseRuleTokens(left, rule) {
+  const regexes = [];
+  let err = null;
+  left = left.replace(RULE_REGEX_TOKEN, (all, lead, body, flags) => {
+    // g and y would make test() remember lastIndex between descriptions
+    const f = (flags || '').replace(/[gy]/g, '');
+    try { regexes.push(new RegExp(body, f || 'i')); }
+    catch (e) { err = `invalid regex /${body}/`; }
+    return lead;
+  });
+  if (err) return err;
+  if (regexes.length) rule.regexes = regexes;
+
+  const words = [];
+  for (const tok of left.split(/\s+/).filter(Boolean)) {
+    let m;
+    if ((m = tok.match(/^amount(<=|>=|<|>|=)(-?[\d.,]+)$/i))) {
+      (rule.amount = rule.amount || []).push({ op: m[1], value: parseAmount(m[2]) });
+    } else if ((m = tok.match(/^date(<=|>=|<|>|=)(.+)$/i))) {
+      const d = parseRuleDate(m[2]);
+      if (!d) return `invalid date "${m[2]}"`;
+      (rule.dates = rule.dates || []).push({ op: m[1], value: d.getTime() });
+    } else if ((m = tok.match(/^type:(debit|credit)$/i))) {
+      rule.type = m[1].toLowerCase();
+    } else if ((m = tok.match(/^not:(.+)$/i))) {
+      (rule.not = rule.not || []).push(m[1].toLowerCase());
+    } else if ((m = tok.match(/^priority:(-?\d+)$/i))) {
+      rule.priority = Number(m[1]);
+    } else if ((m = tok.match(/^category:(.+)$/i))) {
+      rule.fromCategory = m[1].toUpperCase();
+    } else {
+      words.push(tok);
+    }
+  }
+  rule.keyword = words.join(' ').toLowerCase();
+  return null;
+}
+
+// Named groups ("@group Household" … "@end") mark rules that came from a shared pack
+const GROUP_DIRECTIVE = /^@group\s+(.+)$/i;
+const GROUP_END = /^@end$/i;
+
+function parseRules(text) {
+  const lines = String(text || "").split(/\r?\n/);
+  const rules = [];
+  const errors = [];   // lines that look like rules or directives but can't be used
+  lines.forEach((line, i) => {
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith('#')) return;
+    const fail = (reason) => errors.push({ line: i + 1, text: trimmed, reason });
+    if (trimmed.startsWith('@')) {
+      if (GROUP_DIRECTIVE.test(trimmed) || GROUP_END.test(trimmed)) return;
+      if (!TYPE_DIRECTIVE.test(trimmed) && !BUDGET_DIRECTIVE.test(trimmed)) fail('unrecognised @ directive');
+      else if (TYPE_DIRECTIVE.test(trimmed) && !CATEGORY_TYPE_NAMES.includes(trimmed.match(TYPE_DIRECTIVE)[2].toLowerCase())) fail(`type must be ${CATEGORY_TYPE_NAMES.join(', ')}`);
+      return;
+    }
+    const parts = trimmed.split(/=>/i);
+    if (parts.length < 2) { fail('no => so the line is ignored'); return; }
+    const category = parts[1].trim().toUpperCase();
+    const rule = { keyword: '', category, line: i + 1, priority: 0 };
+    const err = parseRuleTokens(parts[0].trim(), rule);
+    if (err) { fail(err); return; }
+    const hasCondition = rule.keyword || rule.regexes || rule.amount || rule.dates || rule.type || rule.not || rule.fromCategory;
+    if (!category) fail('no category after =>');
+    else if (!hasCondition) fail('nothing to match before =>');
+    else rules.push(rule);
+  });
+  // Evaluation order: priority (desc), then line order – Array.sort is stable
+  rules.sort((a, b) => b.priority - a.priority);
+  rules.errors = errors;
+  return rules;
+}
+
+// flexible matcher to support multi-word (e.g., "paypal pypl")
+function matchesKeyword(descLower, keywordLower){
+  if (!keywordLower) return false;
+  const parts = String(keywordLower).split(/\s+/).filter(Boolean);
+  let pos = 0;
+  for (const p of parts){
+    const i = descLower.indexOf(p, pos);
+    if (i === -1) return false;
+    pos = i + p.length;
+  }
+  return true;
+  
+}
+
+function ruleMatches(rule, t, descLower) {
+  if (rule.keyword && !matchesKeyword(descLower, rule.keyword)) return false;
+  if (rule.regexes && !rule.regexes.every(re => re.test(String(t.description || '')))) return false;
+  if (rule.not && rule.not.some(term => descLower.includes(term))) return false;
+  const amount = Number(t.amount || 0);
+  if (rule.type === 'debit' && !(amount > 0)) return false;
+  if (rule.type === 'credit' && !(amount < 0)) return false;
+  if (rule.amount && !rule.amount.every(c => RULE_CMP[c.op](Math.abs(amount), c.value))) return false;
+  if (rule.dates) {
+    const d = txnDate(t);
+    if (!d) return false;
+    const day = new Date(d.getFullYear(), d.getMonth(), d.getDate()).getTime();
+    if (!rule.dates.every(c => RULE_CMP[c.op](day, c.value))) return false;
+  }
+  return true;
+}
+
+// --- Rule index
+// A keyword rule can only match descriptions containing its longest word, so one pass of an
+// Aho–Corasick automaton over the description picks out the few rules worth checking.
+
+// Returns find(text, each) calling each(id) for every index of `words` that occurs in text (repeats possible)
+function buildKeywordMatcher(words) {
+  const next = [new Map()], fail = [0], out = [[]];
+  words.forEach((word, id) => {
+    let s = 0;
+    for (let i = 0; i < word.length; i++) {
+      const ch = word.charCodeAt(i);
+      let n = next[s].get(ch);
+      if (n == null) { n = next.length; next.push(new Map()); fail.push(0); out.push([]); next[s].set(ch, n); }
+      s = n;
+    }
+    out[s].push(id);
+  });
+  const queue = [...next[0].values()];
+  for (let q = 0; q < queue.length; q++) {
+    const s = queue[q];
+    for (const [ch, n] of next[s]) {
+      let f = fail[s];
+      while (f && !next[f].has(ch)) f = fail[f];
+      fail[n] = next[f].has(ch) ? next[f].get(ch) : 0;
+      out[n] = out[n].concat(out[fail[n]]);
+      queue.push(n);
+    }
+  }
+  return (text, each) => {
+    let s = 0;
+    for (let i = 0; i < text.length; i++) {
+      const ch = text.charCodeAt(i);
+      while (s && !next[s].has(ch)) s = fail[s];
+      s = next[s].get(ch) || 0;
+      for (const id of out[s]) each(id);
+    }
+  };
+}
+
+// Rules in order plus an index from keyword to the positions of the rules needing it
+function indexRuleList(list) {
+  const words = [], byWord = [], always = [];
+  const ids = new Map();
+  list.forEach((r, pos) => {
+    const word = r.keyword ? r.keyword.split(/\s+/).reduce((a, b) => (b.length > a.length ? b : a), '') : '';
+    if (!word) { always.push(pos); return; }
+    if (!ids.has(word)) { ids.set(word, words.length); words.push(word); byWord.push([]); }
+    byWord[ids.get(word)].push(pos);
+  });
+  return { list, always, byWord, find: buildKeywordMatcher(words), seen: new Uint32Array(words.length), stamp: 0 };
+}
+
+const RULE_INDEXES = new WeakMap();
+
+// Built once per parseRules result: base rules, and refinements grouped by the category they refine
+function ruleIndex(rules) {
+  let index = RULE_INDEXES.get(rules);
+  if (!index) {
+    const refine = new Map();
+    for (const r of rules) if (r.fromCategory) (refine.get(r.fromCategory) || refine.set(r.fromCategory, []).get(r.fromCategory)).push(r);
+    index = { base: indexRuleList(rules.filter(r => !r.fromCategory)), refine: new Map([...refine].map(([cat, list]) => [cat, indexRuleList(list)])) };
+    RULE_INDEXES.set(rules, index);
+  }
+  return index;
+}
+
+// The rules from an indexRuleList that could match this description, in rule order
+function ruleCandidates(group, descLower) {
+  if (!group) return [];
+  const positions = group.always.slice();
+  const stamp = ++group.stamp;
+  group.find(descLower, (id) => {
+    if (group.seen[id] === stamp) return;
+    group.seen[id] = stamp;
+    for (const pos of group.byWord[id]) positions.push(pos);
+  });
+  // Short, common keywords can make most rules candidates; plain rule order is cheaper then
+  if (positions.length * 2 > group.list.length) return group.list;
+  return positions.sort((a, b) => a - b).map(pos => group.list[pos]);
+}
+
+// afterEach(t) runs once the rules have set t.category (the page applies manual edits there)
+function categorise(txns, rules, afterEach = null) {
+  const index = ruleIndex(rules);
+  for (const t of txns) {
+    const descLower = String(t.desc || t.description || "").toLowerCase();
+
+    // 1) first matching rule wins
+    const base = ruleCandidates(index.base, descLower).find(r => ruleMatches(r, t, descLower));
+    let matched = base ? base.category : null;
+
+    // 2) refinements based on the *resulting category* (e.g. category:PETROL amount<=2 => COFFEE)
+    if (matched) {
+      const refined = ruleCandidates(index.refine.get(matched), descLower).find(r => ruleMatches(r, t, descLower));
+      if (refined) matched = refined.category;
+    }
+
+    t.category = matched || "UNCATEGORISED";
+    if (afterEach) afterEach(t);
+  }
+}
+
+// --- Category types + hierarchy
+// Every category is an expense unless the rules say otherwise, e.g. "@type SALARY income".
+const CATEGORY_TYPE_NAMES = ['expense', 'income', 'transfer'];
+const TYPE_DIRECTIVE = /^@type\s+(.+?)\s+(\w+)$/i;
+const DEFAULT_CATEGORY_TYPES = { INCOME: 'income', SALARY: 'income', INTEREST: 'income', TRANSFER: 'transfer', TRANSFERS: 'transfer' };
+const DEFAULT_TYPES_MAP = new Map(Object.entries(DEFAULT_CATEGORY_TYPES));
+
+function parseCategoryTypes(text) {
+  const types = new Map(Object.entries(DEFAULT_CATEGORY_TYPES));
+  for (const line of String(text || '').split(/\r?\n/)) {
+    const m = line.trim().match(TYPE_DIRECTIVE);
+    if (m && CATEGORY_TYPE_NAMES.includes(m[2].toLowerCase())) types.set(m[1].trim().toUpperCase(), m[2].toLowerCase());
+  }
+  return types;
+}
+
+// `types` comes from parseCategoryTypes
+function categoryType(cat, types = DEFAULT_TYPES_MAP) {
+  const c = String(cat || '').toUpperCase();
+  return types.get(c) || types.get(parentCategory(c)) || 'expense';
+}
+
+function parentCategory(cat) { return String(cat || '').split(':')[0]; }
+
+// [{ cat, total, budget, remaining }] -> parent groups sorted by total. A parent's own budget covers
+// the whole group; without one the group budget is the sum of its children's.
+function groupCategoryRows(rows) {
+  const groups = new Map();
+  for (const r of rows) {
+    const parent = parentCategory(r.cat);
+    if (!groups.has(parent)) groups.set(parent, { cat: parent, total: 0, children: [] });
+    const g = groups.get(parent);
+    g.total += r.total;
+    g.children.push(r);
+  }
+  for (const g of groups.values()) {
+    const own = g.children.find(c => c.cat === g.cat);
+    const budgeted = g.children.filter(c => c.budget != null);
+    g.budget = own && own.budget != null ? own.budget : budgeted.length ? budgeted.reduce((a, c) => a + c.budget, 0) : null;
+    g.remaining = g.budget == null ? null : g.budget - g.total;
+    g.hasChildren = g.children.length > 1 || g.children[0].cat !== g.cat;
+    g.children.sort((a, b) => b.total - a.total);
+  }
+  return [...groups.values()].sort((a, b) => b.total - a.total);
+}
+
+// --- Accounts + transfers
+// Each import is tagged with an account. Money leaving one account and the same amount arriving in
+// another within TRANSFER_WINDOW_DAYS is a transfer between them and stays out of the totals –
+// provided one side looks like a transfer, so a refund that happens to equal a purchase isn't paired.
+const DEFAULT_ACCOUNT = 'Main';
+const TRANSFER_WINDOW_DAYS = 3;
+const DAY_MS = 86400000;
+const TRANSFER_HINT = /\b(transfers?|xfer|tfr|trf|to acc(ount)?|from acc(ount)?|internal|payment received|thank you)\b/i;
+
+function txnAccount(t) { return (t && t.account) || DEFAULT_ACCOUNT; }
+
+// A transfer-type category (see parseCategoryTypes) or a description like "TRANSFER TO SAVINGS"
+function looksLikeTransfer(t, types = DEFAULT_TYPES_MAP) {
+  return categoryType(t.category, types) === 'transfer' || TRANSFER_HINT.test(String(t.description || ''));
+}
+
+// Pairs each debit with the closest unmatched equal credit in another account, when either looks
+// like a transfer; sets t.transfer and t.transferWith on both sides. Run it after categorise.
+// Transactions given a category by hand are left alone.
+function matchTransfers(txns, types = DEFAULT_TYPES_MAP) {
+  const accounts = new Set();
+  for (const t of txns) {
+    delete t.transfer; delete t.transferWith;
+    accounts.add(txnAccount(t));
+  }
+  if (accounts.size < 2) return txns;
+  const credits = new Map(); // cents -> [{ t, time }]
+  const debits = [];
+  for (const t of txns) {
+    const day = txnDay(t);
+    if (!day || t.overridden || !t.amount) continue;
+    const time = Date.parse(day);
+    const cents = Math.round(Math.abs(t.amount) * 100);
+    const hint = looksLikeTransfer(t, types);
+    if (t.amount < 0) (credits.get(cents) || credits.set(cents, []).get(cents)).push({ t, time, hint });
+    else debits.push({ t, time, cents, hint });
+  }
+  debits.sort((a, b) => a.time - b.time);
+  for (const { t, time, cents, hint } of debits) {
+    let best = null;
+    for (const c of credits.get(cents) || []) {
+      if (c.t.transfer || txnAccount(c.t) === txnAccount(t) || !(hint || c.hint)) continue;
+      const gap = Math.abs(c.time - time);
+      if (gap <= TRANSFER_WINDOW_DAYS * DAY_MS && (!best || gap < Math.abs(best.time - time))) best = c;
+    }
+    if (!best) continue;
+    t.transfer = best.t.transfer = true;
+    t.transferWith = best.t; best.t.transferWith = t;
+  }
+  return txns;
+}
+
+// --- Totals + budgets
+// The pieces a transaction contributes to totals: its splits, with the remainder in its own category
+function txnParts(t) {
+  const cat = (t.category || 'UNCATEGORISED').toUpperCase();
+  const amount = Number(t.amount) || 0;
+  if (!t.splits) return [{ category: cat, amount }];
+  const sign = amount < 0 ? -1 : 1;
+  const parts = t.splits.map(sp => ({ category: sp.category, amount: sign * Math.abs(sp.amount) }));
+  const rest = amount - parts.reduce((a, p) => a + p.amount, 0);
+  if (Math.abs(rest) >= 0.005) parts.push({ category: cat, amount: rest });
+  return parts;
+}
+
+// Matched transfers (t.transfer) count as transfers whatever their category.
+// Spending: expense categories net of their refunds, so "% of spend" only ever divides spending.
+// Income: income categories (shown positive) plus any uncategorised credits, which can't be refunds of anything.
+// Transfers: left out of both, only counted.
+function computeCategoryTotals(txns, types = DEFAULT_TYPES_MAP) {
+  const spend = new Map(), income = new Map();
+  const transfers = { count: 0, total: 0 };
+  for (const t of txns) for (const part of txnParts(t)) {
+    const cat = part.category;
+    const amt = part.amount;
+    const type = t.transfer ? 'transfer' : categoryType(cat, types);
+    if (type === 'transfer') { transfers.count++; transfers.total += amt; continue; }
+    if (type === 'income' || (cat === 'UNCATEGORISED' && amt < 0)) income.set(cat, (income.get(cat) || 0) - amt);
+    else spend.set(cat, (spend.get(cat) || 0) + amt);
+  }
+  const sorted = (m) => [...m.entries()].sort((a,b) => b[1]-a[1]);
+  const rows = sorted(spend);
+  const grand = rows.reduce((acc, [,v]) => acc + v, 0);
+  const incomeRows = sorted(income);
+  const incomeTotal = incomeRows.reduce((acc, [,v]) => acc + v, 0);
+  return { rows, grand, income: { rows: incomeRows, total: incomeTotal }, transfers };
+}
+
+const BUDGET_DIRECTIVE = /^@budget\s+(.+?)\s+(?:(\d{4}-\d{2})\s+)?(-?[\d.,]+)$/i;
+function parseBudgets(text) {
+  const budgets = { monthly: new Map(), months: new Map() };
+  for (const line of String(text || '').split(/\r?\n/)) {
+    const m = line.trim().match(BUDGET_DIRECTIVE);
+    if (!m) continue;
+    const cat = m[1].trim().toUpperCase();
+    if (m[2]) budgets.months.set(`${cat}|${m[2]}`, parseAmount(m[3]));
+    else budgets.monthly.set(cat, parseAmount(m[3]));
+  }
+  return budgets;
+}
+
+function txnMonths(txns) {
+  const months = new Set();
+  for (const t of txns) { const ym = txnMonth(t); if (ym) months.add(ym); }
+  return [...months];
+}
+
+// Budget for a category over the given months (null when it has none); `budgets` comes from parseBudgets
+function budgetFor(cat, months, budgets) {
+  let total = 0, any = false;
+  for (const ym of months) {
+    const key = `${cat}|${ym}`;
+    const b = budgets.months.has(key) ? budgets.months.get(key) : budgets.monthly.get(cat);
+    if (b != null) { total += b; any = true; }
+  }
+  return any ? total : null;
+}
+
+// Spending rows ([cat, total] from computeCategoryTotals) with budget info; budgeted categories with no spending yet are included at 0
+function budgetedSpendRows(rows, months, budgets, types = DEFAULT_TYPES_MAP) {
+  const seen = new Set(rows.map(([cat]) => cat));
+  const cats = new Set([...budgets.monthly.keys(), ...[...budgets.months.keys()].map(k => k.split('|')[0])]);
+  const all = rows.slice();
+  for (const cat of cats) if (!seen.has(cat) && categoryType(cat, types) === 'expense' && budgetFor(cat, months, budgets) != null) all.push([cat, 0]);
+  return all.map(([cat, total]) => {
+    const budget = budgetFor(cat, months, budgets);
+    return { cat, total, budget, remaining: budget == null ? null : budget - total };
+  });
+}
+
+// A filter on a parent includes all of its children
+function categoryMatchesFilter(cat, filter) {
+  return cat === filter || (!filter.includes(':') && cat.startsWith(filter + ':'));
+}
+
+// Exports list every category ('detailed') or one row per parent category ('rollup')
+function rollUpIfNeeded(rows, rollup) {
+  if (!rollup) return rows;
+  return groupCategoryRows(rows.map(r => ({ budget: null, remaining: null, ...r })))
+    .map(g => ({ cat: g.cat, total: g.total, budget: g.budget, remaining: g.remaining }));
+}
+
+// A budget on a parent covers its subcategories: measure the parent row's remaining against the whole group's spend
+function parentBudgetsCoverChildren(rows) {
+  const groups = new Map(groupCategoryRows(rows).map(g => [g.cat, g]));
+  return rows.map(r => {
+    const g = groups.get(r.cat);
+    return g && g.hasChildren && r.budget != null ? { ...r, remaining: r.budget - g.total } : r;
+  });
+}
+
+// Rows and totals behind every category totals export, on the page and in the CLI.
+// `months` are the months budgets cover; `filter` is a category filter ('' for none).
+function totalsModel(txns, { types = DEFAULT_TYPES_MAP, budgets = parseBudgets(''), months = txnMonths(txns), label = 'All months', filter = '', rollup = false } = {}) {
+  const { rows, income, transfers } = computeCategoryTotals(txns, types);
+  const inFilter = (r) => !filter || categoryMatchesFilter(r.cat, filter);
+  const spendDetailed = parentBudgetsCoverChildren(budgetedSpendRows(rows, months, budgets, types).filter(inFilter));
+  const incomeDetailed = income.rows.map(([cat, total]) => ({ cat, total, budget: null, remaining: null })).filter(inFilter);
+  const spend = rollUpIfNeeded(spendDetailed, rollup);
+  const incomeRows = rollUpIfNeeded(incomeDetailed, rollup);
+  const spendTotal = spend.reduce((a, r) => a + r.total, 0);
+  const incomeTotal = incomeRows.reduce((a, r) => a + r.total, 0);
+  const hasBudget = spend.some(r => r.budget != null);
+  // group budgets, so a parent budget and its children's aren't counted twice
+  const budgetTotal = hasBudget ? groupCategoryRows(spendDetailed).reduce((a, g) => a + (g.budget || 0), 0) : null;
+  const withPct = (list, total) => list.map(r => ({ ...r, pct: total ? r.total / total * 100 : 0 }));
+  return {
+    label, view: rollup ? 'rollup' : 'detailed', hasBudget,
+    spending: { rows: withPct(spend, spendTotal), total: spendTotal, budget: budgetTotal, remaining: budgetTotal == null ? null : budgetTotal - spendTotal },
+    income: { rows: withPct(incomeRows, incomeTotal), total: incomeTotal },
+    net: incomeTotal - spendTotal,
+    transfers: filter ? { count: 0, total: 0 } : transfers,
+  };
+}
+
+// JSON totals export; `meta` (periodKey, categoryFilter, …) goes between the period and the view
+function formatTotalsJson(m, meta = {}) {
+  const row = (r) => ({ category: r.cat, amount: +r.total.toFixed(2), percent: +r.pct.toFixed(1),
+    ...(r.budget != null ? { budget: +r.budget.toFixed(2), remaining: +r.remaining.toFixed(2) } : {}) });
+  return JSON.stringify({
+    period: m.label, ...meta, view: m.view,
+    spending: { categories: m.spending.rows.map(row), total: +m.spending.total.toFixed(2),
+      ...(m.hasBudget ? { budget: +m.spending.budget.toFixed(2), remaining: +m.spending.remaining.toFixed(2) } : {}) },
+    income: { categories: m.income.rows.map(row), total: +m.income.total.toFixed(2) },
+    net: +m.net.toFixed(2),
+    transfers: { count: m.transfers.count, total: +m.transfers.total.toFixed(2) },
+  }, null, 2);
+}
+
+// Plain-text totals report for a totalsModel
+function formatTotalsText(m) {
+  const header = `SpendLite Category Totals (${m.label})`;
+
+  // dynamic widths for neat alignment
+  const catWidth = Math.max(8, ...m.spending.rows.concat(m.income.rows).map(r => toTitleCase(r.cat).length), 'Total spending'.length);
+  const amtWidth = 12;
+  const pctWidth = 6;
+
+  const money = (v) => (v == null ? '' : v.toFixed(2)).padStart(amtWidth);
+  const line = (name, amount, pct, budget, remaining) =>
+    (name.padEnd(catWidth) + ' ' + money(amount) + ' ' + (pct == null ? '' : pct.toFixed(1) + '%').padStart(pctWidth) +
+     (m.hasBudget ? ' ' + money(budget) + ' ' + money(remaining) : '')).trimEnd();
+  const section = (title, sec, totalLabel, budgets) => {
+    lines.push(title.padEnd(catWidth) + ' ' + 'Amount'.padStart(amtWidth) + ' ' + '%'.padStart(pctWidth) +
+      (m.hasBudget && budgets ? ' ' + 'Budget'.padStart(amtWidth) + ' ' + 'Remaining'.padStart(amtWidth) : ''));
+    for (const r of sec.rows) lines.push(line(toTitleCase(r.cat), r.total, r.pct, r.budget, r.remaining));
+    lines.push(line(totalLabel, sec.total, 100, budgets ? sec.budget : null, budgets ? sec.remaining : null));
+  };
+
+  const lines = [];
+  lines.push(header);
+  lines.push('='.repeat(header.length));
+  section('Spending', m.spending, 'TOTAL SPENDING', m.hasBudget);
+  if (m.income.rows.length) {
+    lines.push('');
+    section('Income', m.income, 'TOTAL INCOME', false);
+  }
+  lines.push('');
+  lines.push(line('NET', m.net));
+  if (m.transfers.count) lines.push(`(${m.transfers.count} transfers excluded, net ${m.transfers.total.toFixed(2)})`);
+  return lines.join('\n');
+}
+
+// Node: const core = require('./core.js')
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    toTitleCase, parseAmount, csvCell, toCsv, parseCsv,
+    BUILTIN_PROFILES, detectProfile, rowsToTxns, parseOfx, parseQif, detectStatementFormat, parseStatement,
+    DATE_FORMATS, parseDateSmart, inferDateFormat, resolveDateFormat, txnDate, normalizeTxnDate, txnDay, txnMonth,
+    yyyymm, isoDay, periodRange, inPeriod,
+    GROUP_DIRECTIVE, GROUP_END, parseRules, matchesKeyword, ruleMatches, ruleIndex, ruleCandidates, categorise,
+    DEFAULT_CATEGORY_TYPES, parseCategoryTypes, categoryType, parentCategory, groupCategoryRows,
+    DEFAULT_ACCOUNT, txnAccount, looksLikeTransfer, matchTransfers,
+    txnParts, computeCategoryTotals, parseBudgets, txnMonths, budgetFor, budgetedSpendRows,
+    categoryMatchesFilter, rollUpIfNeeded, totalsModel, formatTotalsJson, formatTotalsText,
+  };
+}
@@ -1,14 +1,18 @@
 // SpendLite v6.6.27 – Month filter + export respects selected month
 // Keeps: UCASE categories, jolly theme, import/export rules, category filter, VISA- keyword, tabs export + grand total
 
-const COL = { DATE: 2, DEBIT: 5, LONGDESC: 9 }; // 0-based mapping for 10-col export
-
 let CURRENT_TXNS = [];
 let CURRENT_RULES = [];
 let CURRENT_FILTER = null; // category filter
-let MONTH_FILTER = "";     // 'YYYY-MM' or ''
+let MONTH_FILTER = "";     // period key (see periodRange): 'YYYY-MM', 'YYYY-Q1', 'YYYY', 'FY2025', 'last30', 'from..to' or ''
 let CURRENT_PAGE = 1;
-const PAGE_SIZE = 10;
+let PAGE_COUNT = 1;        // pages in the last rendered transactions table
+let PAGE_SIZE = 10;        // 0 = all rows on one page
+const PAGE_SIZES = [10, 25, 50, 100, 0];
+let TXN_SEARCH = { text: '', min: null, max: null };
+let TXN_SORT = { key: '', dir: 1 }; // key: '' (file order), 'date', 'amount', 'category', 'description'
+let ACCOUNT_FILTER = '';   // account name, '' = all accounts
+let UNUSUAL_DISMISSED = new Set(); // ids of unusual-activity flags the user has dismissed
 
 function formatMonthLabel(ym) {
   if (!ym) return 'All months';
@@ -19,207 +23,1337 @@ function formatMonthLabel(ym) {
 
 function friendlyMonthOrAll(label) {
   if (!label) return 'All months';
+  if (label instanceof Date) return formatMonthLabel(yyyymm(label));
   if (/^\d{4}-\d{2}$/.test(label)) return formatMonthLabel(label);
-  return String(label);
+  return periodLabel(label) || String(label);
 }
 function forFilename(label) {
-  return String(label).replace(/\s+/g, '_');
+  return String(label).replace(/[\/–—]/g, '-').replace(/\s+/g, '_');
+}
+
+
+// --- Storage
+// Everything persistent lives in one IndexedDB key/value store. Reads come from an in-memory
+// copy loaded once at start-up (openStore), writes go through storeSet and are flushed in the
+// background; failures (quota, private mode, blocked DB) are shown to the user, never swallowed.
+// If IndexedDB can't be opened at all we fall back to localStorage with the same API.
+const DB_NAME = 'spendlite';
+const DB_VERSION = 1;      // IndexedDB object store layout
+const SCHEMA_VERSION = 2;  // shape of the stored values; see STORE_MIGRATIONS
+const STORE_KEYS = {
+  RULES: 'rules', FILTER: 'filter', MONTH: 'month', TXNS_COLLAPSED: 'txnsCollapsed', PAGE_SIZE: 'pageSize', SORT: 'sort',
+  EDITS: 'edits', COLLAPSED_CATS: 'collapsedCats', TOTALS_VIEW: 'totalsView', EXPORT_FORMAT: 'exportFormat',
+  PROFILES: 'profiles', DATE_FORMAT: 'dateFormat', TXNS: 'txns', BATCHES: 'batches', META: 'meta', ACCOUNT: 'account',
+  DISMISSED: 'dismissed',
+};
+
+// Where each value used to live in localStorage, and how it was encoded there
+const asString = (v) => v;
+const asJson = (v) => JSON.parse(v);
+const LEGACY_LS_KEYS = {
+  rules: [['spendlite_rules_v6626', asString]],
+  filter: [['spendlite_filter_v6626', (v) => v.trim() ? v.toUpperCase() : null]],
+  month: [['spendlite_month_v6627', asString]],
+  txnsCollapsed: [['spendlite_txns_collapsed_v7', (v) => v !== 'false']],
+  pageSize: [['spendlite_page_size_v1', Number]],
+  sort: [['spendlite_sort_v1', asJson]],
+  edits: [['spendlite_txn_edits_v1', asJson]],
+  collapsedCats: [['spendlite_collapsed_cats_v1', asJson]],
+  totalsView: [['spendlite_totals_view_v1', asString]],
+  exportFormat: [['spendlite_export_format_v1', asString]],
+  profiles: [['spendlite_profiles_v1', asJson]],
+  dateFormat: [['spendlite_date_format_v1', asString]],
+  // Transactions were mirror-saved three times, once under the literal key "undefined"
+  txns: [['spendlite_txns_json_v7', asJson], ['spendlite_txns_json', asJson], ['undefined', asJson]],
+};
+
+const STORE = { db: null, backend: 'memory', cache: new Map(), pending: new Map(), flushTimer: null, writeFailed: false, afterFlush: [] };
+
+function idbRequest(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+function openIdb() {
+  return new Promise((resolve, reject) => {
+    if (typeof indexedDB === 'undefined') { reject(new Error('IndexedDB is not available in this browser')); return; }
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      if (!db.objectStoreNames.contains('kv')) db.createObjectStore('kv');
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+    req.onblocked = () => reject(new Error('the database is blocked by another open SpendLite tab'));
+  });
+}
+
+async function openStore() {
+  try {
+    STORE.db = await openIdb();
+    STORE.backend = 'indexeddb';
+    const tx = STORE.db.transaction('kv', 'readonly');
+    const os = tx.objectStore('kv');
+    const [keys, values] = await Promise.all([idbRequest(os.getAllKeys()), idbRequest(os.getAll())]);
+    keys.forEach((k, i) => STORE.cache.set(k, values[i]));
+  } catch (err) {
+    STORE.db = null;
+    STORE.backend = lsAvailable() ? 'localStorage' : 'memory';
+    if (STORE.backend === 'localStorage') {
+      for (const k of Object.values(STORE_KEYS)) {
+        try { const raw = localStorage.getItem('spendlite_store_' + k); if (raw != null) STORE.cache.set(k, JSON.parse(raw)); } catch {}
+      }
+    }
+    reportStorageError(err, STORE.backend === 'memory'
+      ? 'Nothing will be saved after you close this page'
+      : 'Using the smaller browser storage instead of IndexedDB');
+  }
+  await runStoreMigrations();
+}
+
+function lsAvailable() {
+  try { localStorage.setItem('spendlite_probe', '1'); localStorage.removeItem('spendlite_probe'); return true; } catch { return false; }
 }
 
+// Schema migrations, run in order for any version newer than the stored one
+const STORE_MIGRATIONS = {
+  1: migrateFromLocalStorage,
+  2: migratePetrolCoffeeRule,
+};
+
+async function runStoreMigrations() {
+  const meta = storeGet(STORE_KEYS.META, { schemaVersion: 0 });
+  let version = meta.schemaVersion || 0;
+  while (version < SCHEMA_VERSION) {
+    version++;
+    try { STORE_MIGRATIONS[version](); }
+    catch (err) { reportStorageError(err, `Upgrading saved data to version ${version} failed`); return; }
+    storeSet(STORE_KEYS.META, { ...meta, schemaVersion: version, migratedAt: new Date().toISOString() });
+  }
+  await flushStore();
+}
+
+// v1: copy every legacy spendlite_* localStorage value into the store. The old keys are only dropped
+// once the copies are safely written (see STORE.afterFlush); values that can't be read are kept.
+function migrateFromLocalStorage() {
+  if (!lsAvailable()) return;
+  const used = [];
+  for (const [key, sources] of Object.entries(LEGACY_LS_KEYS)) {
+    for (const [lsKey, decode] of sources) {
+      const raw = localStorage.getItem(lsKey);
+      if (raw == null) continue;
+      if (STORE.cache.has(key)) { used.push(lsKey); continue; }
+      try {
+        const value = decode(raw);
+        if (key === 'txns' && !(Array.isArray(value) && value.every(t => t && 'amount' in t))) throw new Error('the saved transactions are not in the expected format');
+        storeSet(key, value);
+        used.push(lsKey);
+      } catch (err) {
+        reportStorageError(err, `Old saved data (${lsKey}) could not be read and was left in place`);
+      }
+    }
+  }
+  if (STORE.cache.has(STORE_KEYS.TXNS) && !STORE.cache.has(STORE_KEYS.BATCHES)) {
+    const txns = storeGet(STORE_KEYS.TXNS, []).map(t => ({ ...t, batchId: 1 }));
+    storeSet(STORE_KEYS.TXNS, txns);
+    storeSet(STORE_KEYS.BATCHES, [{ id: 1, name: 'Saved by an earlier version', source: 'localStorage', importedAt: new Date().toISOString(), dateFormat: 'auto', added: txns.length, skipped: 0 }]);
+  }
+  STORE.afterFlush.push(() => used.forEach(k => localStorage.removeItem(k)));
+}
 
-const LS_KEYS = { RULES: 'spendlite_rules_v6626', FILTER: 'spendlite_filter_v6626', MONTH: 'spendlite_month_v6627', TXNS_COLLAPSED: 'spendlite_txns_collapsed_v7' };
+// v2: small PETROL charges used to become COFFEE in code; that is now a rule, so add it to rules
+// saved before the change (unless they already refine PETROL into COFFEE)
+function migratePetrolCoffeeRule() {
+  const saved = storeGet(STORE_KEYS.RULES, '');
+  if (saved && saved.trim()) storeSet(STORE_KEYS.RULES, withPetrolCoffeeRule(saved));
+}
+
+function withPetrolCoffeeRule(text) {
+  if (parseRules(text).some(r => r.fromCategory === 'PETROL' && r.category === 'COFFEE')) return text;
+  return `${text.replace(/\s*$/, '')}\n# Small purchases at the servo are coffee, not fuel\ncategory:PETROL amount<=2 => COFFEE\n`;
+}
 
-function toTitleCase(str) {
-  if (!str) return '';
-  return String(str)
-    .toLowerCase()
-    .replace(/[_-]+/g, ' ')
-    .replace(/\s+/g, ' ')
-    .trim()
-    .replace(/\b([a-z])/g, (m, p1) => p1.toUpperCase());
+function storeGet(key, fallback = null) {
+  return STORE.cache.has(key) ? STORE.cache.get(key) : fallback;
+}
+function storeSet(key, value) {
+  STORE.cache.set(key, value);
+  STORE.pending.set(key, value);
+  scheduleFlush();
+}
+function storeRemove(key) {
+  STORE.cache.delete(key);
+  STORE.pending.set(key, undefined);
+  scheduleFlush();
 }
 
-function parseAmount(s) {
-  if (s == null) return 0;
-  s = String(s).replace(/[^\d\-,.]/g, '').replace(/,/g, '');
-  return Number(s) || 0;
+function scheduleFlush() {
+  if (STORE.flushTimer) return;
+  STORE.flushTimer = setTimeout(() => { STORE.flushTimer = null; flushStore(); }, 250);
 }
 
-function loadCsvText(csvText) {
-  const rows = Papa.parse(csvText.trim(), { skipEmptyLines: true }).data;
-  const startIdx = rows.length && isNaN(parseAmount(rows[0][COL.DEBIT])) ? 1 : 0;
-  const txns = [];
-  for (let i = startIdx; i < rows.length; i++) {
-    const r = rows[i];
-    if (!r || r.length < 10) continue;
-    const effectiveDate = r[COL.DATE] || '';
-    const debit = parseAmount(r[COL.DEBIT]);
-    const longDesc = (r[COL.LONGDESC] || '').trim();
-    if ( (effectiveDate || longDesc) && Number.isFinite(debit) && debit !== 0 ) {
-       txns.push({ date: effectiveDate, amount: debit, description: longDesc });
+// Resolves to true once everything pending is written. A failed batch goes back into `pending`
+// (unless newer values were set meanwhile) so the next flush retries it.
+async function flushStore() {
+  if (STORE.flushTimer) { clearTimeout(STORE.flushTimer); STORE.flushTimer = null; }
+  const batch = [...STORE.pending.entries()];
+  STORE.pending.clear();
+  if (STORE.backend === 'memory') return false;
+  try {
+    if (STORE.backend === 'indexeddb') {
+      const tx = STORE.db.transaction('kv', 'readwrite');
+      const os = tx.objectStore('kv');
+      for (const [k, v] of batch) { if (v === undefined) os.delete(k); else os.put(v, k); }
+      await new Promise((resolve, reject) => {
+        tx.oncomplete = resolve;
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error || new Error('storage transaction aborted'));
+      });
+    } else {
+      for (const [k, v] of batch) {
+        if (v === undefined) localStorage.removeItem('spendlite_store_' + k);
+        else localStorage.setItem('spendlite_store_' + k, JSON.stringify(v));
+      }
     }
+    if (STORE.writeFailed) { STORE.writeFailed = false; clearStorageError(); }
+  } catch (err) {
+    for (const [k, v] of batch) if (!STORE.pending.has(k)) STORE.pending.set(k, v);
+    STORE.writeFailed = true;
+    reportStorageError(err, 'Your latest changes could not be saved');
+    return false;
+  }
+  // Clean-ups that must wait until data is safely stored (e.g. dropping migrated localStorage keys)
+  for (const task of STORE.afterFlush.splice(0)) {
+    try { task(); } catch (err) { reportStorageError(err, 'Old saved data could not be tidied up'); }
+  }
+  return true;
+}
+
+function reportStorageError(err, consequence) {
+  const el = document.getElementById('storageStatus');
+  const name = err && err.name;
+  const quota = name === 'QuotaExceededError' || /quota/i.test(String(err && err.message));
+  const reason = quota ? 'browser storage is full' : String((err && err.message) || err || 'unknown error');
+  const msg = `Storage problem: ${reason}. ${consequence}.` + (quota ? ' Remove old imports or export a backup to free space.' : '');
+  if (el) { el.textContent = msg; el.hidden = false; }
+  else console.warn(msg);
+}
+function clearStorageError() {
+  const el = document.getElementById('storageStatus');
+  if (el && !el.hidden) { el.hidden = true; el.textContent = ''; }
+}
+
+// Only the imported fields are stored; categories, overrides and notes are re-derived on load
+function saveTxns() {
+  storeSet(STORE_KEYS.TXNS, CURRENT_TXNS.map(({ category, overridden, note, splits, transfer, transferWith, ...raw }) => raw));
+  storeSet(STORE_KEYS.BATCHES, IMPORT_BATCHES.map(({ suspected, ambiguous, invalid, ...b }) => b));
+}
+
+let PENDING_IMPORT = null; // { rows, fileName } awaiting a manual mapping
+let PENDING_MAPPINGS = []; // more files from the selection queued behind it: [{ rows, reason, fileName }]
+
+function loadCustomProfiles() {
+  return storeGet(STORE_KEYS.PROFILES, []) || [];
+}
+function saveCustomProfiles(list) {
+  storeSet(STORE_KEYS.PROFILES, list || []);
+}
+function allProfiles() { return [...loadCustomProfiles(), ...BUILTIN_PROFILES]; }
+function findProfile(id) { return allProfiles().find(p => p.id === id) || null; }
+
+function loadCsvText(csvText, profileId = '', fileName = '') {
+  const rows = parseCsv(csvText);
+  const profile = profileId ? findProfile(profileId) : detectProfile(rows, allProfiles());
+  if (!profile) { openMappingPanel(rows, '', fileName); return []; }
+  return importRows(rows, profile, fileName);
+}
+
+function importRows(rows, profile, fileName = '', txns = rowsToTxns(rows, profile)) {
+  if (!txns.length) { openMappingPanel(rows, `No transactions found using “${profile.name}”.`, fileName); return []; }
+  return importTxnBatch(txns, fileName || profile.name, profile.name, profile.dateFormat);
+}
+
+// --- Import batches
+// Every file becomes a batch appended to CURRENT_TXNS; rows already loaded are skipped.
+let IMPORT_BATCHES = [];   // [{ id, name, source, importedAt, added, skipped, suspected }]
+let IMPORT_SUMMARY = [];   // batches from the most recent file selection, plus { name, notImported } for files left out
+let NEXT_BATCH_ID = 1;
+let NEXT_TXN_ID = 1;       // transactions keep their id for good; rows refer to it instead of an array index
+let TXN_LOOKUP = { txns: null, byId: new Map() };
+const DUP_WINDOW_DAYS = 3; // same amount + merchant this close together is a suspected duplicate
+
+function normalizeDesc(desc) {
+  return String(desc || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').replace(/\s+/g, ' ').trim();
+}
+function txnDateKey(t) {
+  return txnDay(t) || String(t.date || '').trim().toLowerCase();
+}
+
+// Rebuilt whenever CURRENT_TXNS is replaced (imports and removals always assign a new array)
+function txnById(id) {
+  if (TXN_LOOKUP.txns !== CURRENT_TXNS) TXN_LOOKUP = { txns: CURRENT_TXNS, byId: new Map(CURRENT_TXNS.map(t => [t.id, t])) };
+  return TXN_LOOKUP.byId.get(id);
+}
+
+// Saved data from before dates were pre-parsed and ids assigned
+function normalizeLoadedTxns(txns) {
+  for (const t of txns) {
+    if (t.day == null) normalizeTxnDate(t);
+    if (t.id == null) t.id = NEXT_TXN_ID++;
+  }
+  assignEditKeys(txns);
+  return txns;
+}
+// Duplicate detection: the same day, amount and merchant
+function txnKey(t) {
+  return `${txnDateKey(t)}|${Number(t.amount).toFixed(2)}|${normalizeDesc(t.description)}`;
+}
+
+// Manual edits follow one transaction: account, the date exactly as the bank wrote it (so re-reading
+// dates keeps them), amount and description – plus "#n" to tell identical same-day rows apart.
+function txnEditBase(t) {
+  return `${txnAccount(t)}|${String(t.date || '').trim()}|${Number(t.amount).toFixed(2)}|${normalizeDesc(t.description)}`;
+}
+function assignEditKeys(txns, existing = []) {
+  const used = new Set(existing.map(t => t.editKey));
+  for (const t of txns) {
+    if (t.editKey && !used.has(t.editKey)) { used.add(t.editKey); continue; }
+    const base = txnEditBase(t);
+    let n = 1;
+    while (used.has(`${base}#${n}`)) n++;
+    t.editKey = `${base}#${n}`;
+    used.add(t.editKey);
+  }
+}
+
+// Exact matches (date + amount + description) against earlier batches are skipped, but
+// repeats inside one file are kept – two identical coffees on the same day are real.
+// Dates are read with the chosen format, else the profile's, else one inferred from the file –
+// unless the parser already normalised them (fixedDateFormat, e.g. OFX), which nothing overrides.
+function importTxnBatch(txns, name, source, profileDateFormat = '', fixedDateFormat = '') {
+  const dateFormat = fixedDateFormat || resolveDateFormat(txns, DATE_FORMAT, profileDateFormat);
+  const account = importAccountName();
+  txns = txns.map(t => normalizeTxnDate({ ...t, dateFormat, account }));
+
+  // Duplicates are only looked for within the same account
+  const sameAccount = CURRENT_TXNS.filter(t => txnAccount(t) === account);
+  const existing = new Map();
+  for (const t of sameAccount) { const k = txnKey(t); existing.set(k, (existing.get(k) || 0) + 1); }
+  const near = new Map(); // amount|description -> [time]
+  for (const t of sameAccount) {
+    const d = txnDate(t); if (!d) continue;
+    const k = `${Number(t.amount).toFixed(2)}|${normalizeDesc(t.description)}`;
+    if (!near.has(k)) near.set(k, []);
+    near.get(k).push(d.getTime());
+  }
+
+  const batch = { id: NEXT_BATCH_ID++, name, source, account, importedAt: new Date().toISOString(), dateFormat, added: 0, skipped: 0, suspected: [] };
+  if (fixedDateFormat) batch.fixedDateFormat = true;
+  const added = [];
+  for (const t of txns) {
+    const k = txnKey(t);
+    if (existing.get(k) > 0) { existing.set(k, existing.get(k) - 1); batch.skipped++; continue; }
+    const d = txnDate(t);
+    const times = near.get(`${Number(t.amount).toFixed(2)}|${normalizeDesc(t.description)}`) || [];
+    if (d && times.some(x => Math.abs(x - d.getTime()) <= DUP_WINDOW_DAYS * 86400000)) batch.suspected.push(t);
+    added.push({ ...t, batchId: batch.id, id: NEXT_TXN_ID++ });
   }
-  CURRENT_TXNS = txns; saveTxnsToLocalStorage();
+  assignEditKeys(added, CURRENT_TXNS);
+  batch.added = added.length;
+  Object.assign(batch, dateReport(added));
+  setImportStatus(`Imported “${name}” into ${account} using “${source}”.`);
+  IMPORT_BATCHES.push(batch);
+  IMPORT_SUMMARY.push(batch);
+
+  CURRENT_TXNS = CURRENT_TXNS.concat(added); saveTxns();
   try { updateMonthBanner(); } catch {}
   rebuildMonthDropdown();
+  rebuildAccountControls();
   applyRulesAndRender();
-  return txns;
+  renderImportSummary();
+  return added;
+}
+
+function removeImportBatch(id) {
+  const batch = IMPORT_BATCHES.find(b => b.id === id);
+  if (!batch) return;
+  if (!confirm(`Remove the ${batch.added} transactions imported from “${batch.name}”?`)) return;
+  CURRENT_TXNS = CURRENT_TXNS.filter(t => t.batchId !== id);
+  IMPORT_BATCHES = IMPORT_BATCHES.filter(b => b.id !== id);
+  IMPORT_SUMMARY = IMPORT_SUMMARY.filter(b => b.id !== id);
+  saveTxns();
+  rebuildMonthDropdown();
+  rebuildAccountControls();
+  applyRulesAndRender();
+  renderImportSummary();
+}
+
+function clearAllImports() {
+  if (!CURRENT_TXNS.length || !confirm('Remove all loaded transactions?')) return;
+  CURRENT_TXNS = []; IMPORT_BATCHES = []; IMPORT_SUMMARY = [];
+  saveTxns();
+  rebuildMonthDropdown();
+  rebuildAccountControls();
+  applyRulesAndRender();
+  renderImportSummary();
+}
+
+// --- Accounts
+function importAccountName() {
+  const input = document.getElementById('importAccount');
+  return (input && input.value.trim()) || DEFAULT_ACCOUNT;
+}
+
+function accountNames() {
+  const names = new Set(IMPORT_BATCHES.map(b => b.account || DEFAULT_ACCOUNT));
+  for (const t of CURRENT_TXNS) names.add(txnAccount(t));
+  return [...names].sort((a, b) => a.localeCompare(b));
+}
+
+// Move an import batch (and its transactions) to another account
+function setBatchAccount(id, name) {
+  const batch = IMPORT_BATCHES.find(b => b.id === id);
+  const account = String(name || '').trim() || DEFAULT_ACCOUNT;
+  if (!batch || (batch.account || DEFAULT_ACCOUNT) === account) return;
+  batch.account = account;
+  const moved = CURRENT_TXNS.filter(t => t.batchId === id);
+  const edits = moved.map(t => TXN_EDITS[t.editKey]);
+  moved.forEach(t => { delete TXN_EDITS[t.editKey]; t.account = account; delete t.editKey; });
+  assignEditKeys(moved, CURRENT_TXNS.filter(t => t.batchId !== id));
+  moved.forEach((t, i) => { if (edits[i]) TXN_EDITS[t.editKey] = edits[i]; });
+  saveTxnEdits();
+  saveTxns();
+  rebuildAccountControls();
+  applyRulesAndRender({keepPage: true});
+  renderImportSummary();
+}
+
+function setAccountFilter(name) {
+  ACCOUNT_FILTER = name || '';
+  storeSet(STORE_KEYS.ACCOUNT, ACCOUNT_FILTER);
+  CURRENT_PAGE = 1;
+  rebuildAccountControls();
+  applyRulesAndRender();
+}
+
+// Account picker (only shown once there is more than one account) and the import suggestions
+function rebuildAccountControls() {
+  const names = accountNames();
+  if (ACCOUNT_FILTER && !names.includes(ACCOUNT_FILTER)) { ACCOUNT_FILTER = ''; storeRemove(STORE_KEYS.ACCOUNT); }
+  const sel = document.getElementById('accountFilter');
+  sel.innerHTML = '<option value="">All accounts</option>' + names.map(n => `<option value="${escapeHtml(n)}">${escapeHtml(n)}</option>`).join('');
+  sel.value = ACCOUNT_FILTER;
+  document.getElementById('accountFilterWrap').style.display = names.length > 1 ? '' : 'none';
+  document.getElementById('accountList').innerHTML = names.map(n => `<option value="${escapeHtml(n)}">`).join('');
+}
+
+function accountFilteredTxns() {
+  return ACCOUNT_FILTER ? CURRENT_TXNS.filter(t => txnAccount(t) === ACCOUNT_FILTER) : CURRENT_TXNS;
+}
+
+// Rows whose dates could not be read, or that could be read either way round
+function dateReport(txns) {
+  const ambiguous = [], invalid = [];
+  for (const t of txns) {
+    if (!txnDate(t)) invalid.push(t);
+    else if ((t.dateFormat || 'auto') === 'auto' && isAmbiguousDate(t.date)) ambiguous.push(t);
+  }
+  return { ambiguous, invalid };
+}
+
+// Re-read the dates of everything already loaded with a new explicit format
+function applyDateFormatToLoaded(format) {
+  for (const b of IMPORT_BATCHES) {
+    if (b.fixedDateFormat) continue;
+    const rows = CURRENT_TXNS.filter(t => t.batchId === b.id);
+    const f = format === 'auto' ? inferDateFormat(rows.map(t => t.date)) : format;
+    rows.forEach(t => { t.dateFormat = f; normalizeTxnDate(t); });
+    b.dateFormat = f;
+    Object.assign(b, dateReport(rows));
+  }
+  WORKER_TXNS = null; // the worker's copy has the old dates
+  saveTxns();
+  rebuildMonthDropdown();
+  applyRulesAndRender();
+  renderImportSummary();
+}
+
+function dateIssueList(title, txns) {
+  if (!txns.length) return '';
+  return `<details><summary>${title} (${txns.length})</summary><ul>` +
+    txns.map(t => `<li>${escapeHtml(t.date || '(blank)')} · ${Number(t.amount).toFixed(2)} · ${escapeHtml(t.description)}</li>`).join('') +
+    '</ul></details>';
+}
+
+function renderImportSummary() {
+  const el = document.getElementById('importSummary');
+  if (!el) return;
+  let html = '';
+  const batches = IMPORT_SUMMARY.filter(b => !b.notImported);
+  const left = IMPORT_SUMMARY.filter(b => b.notImported);
+  const waiting = [PENDING_IMPORT, ...PENDING_MAPPINGS].filter(Boolean);
+  if (waiting.length) {
+    html += `<p>Waiting for a column mapping: ${waiting.map(p => `<strong>${escapeHtml(p.fileName || 'CSV')}</strong>`).join(', ')}</p>`;
+  }
+  if (left.length) {
+    html += '<p>Not imported: ' + left.map(b => `<strong>${escapeHtml(b.name)}</strong> (${escapeHtml(b.notImported)})`).join(', ') + '</p>';
+  }
+  if (batches.length) {
+    const sum = (k) => batches.reduce((acc, b) => acc + (k === 'suspected' ? b.suspected.length : b[k]), 0);
+    html += `<p>Last import: <strong>${sum('added')}</strong> added · <strong>${sum('skipped')}</strong> skipped as already loaded · ` +
+            `<strong>${sum('suspected')}</strong> suspected duplicates</p>`;
+    html += dateIssueList('Ambiguous dates read as DD/MM – pick a date format above if wrong', batches.flatMap(b => b.ambiguous || []));
+    html += dateIssueList('Unreadable dates (not in any month)', batches.flatMap(b => b.invalid || []));
+    const suspects = batches.flatMap(b => b.suspected);
+    if (suspects.length) {
+      html += '<details><summary>Suspected duplicates (kept – remove the batch if wrong)</summary><ul>' +
+        suspects.map(t => `<li>${escapeHtml(t.date)} · ${Number(t.amount).toFixed(2)} · ${escapeHtml(t.description)}</li>`).join('') +
+        '</ul></details>';
+    }
+  }
+  if (IMPORT_BATCHES.length) {
+    html += '<table class="batches"><tr><th>File</th><th>Account</th><th>Format</th><th>Dates</th><th class="num">Added</th><th class="num">Skipped</th><th></th></tr>' +
+      IMPORT_BATCHES.map(b => `<tr>
+        <td>${escapeHtml(b.name)}</td>
+        <td><input type="text" class="batch-account" data-batch="${b.id}" list="accountList" value="${escapeHtml(b.account || DEFAULT_ACCOUNT)}" aria-label="Account for ${escapeHtml(b.name)}"></td>
+        <td>${escapeHtml(b.source)}</td><td>${escapeHtml(DATE_FORMATS[b.dateFormat] || b.dateFormat)}</td>
+        <td class="num">${b.added}</td><td class="num">${b.skipped}</td>
+        <td><button class="secondary small" data-batch="${b.id}">Remove</button></td>
+      </tr>`).join('') + '</table>';
+  }
+  el.innerHTML = html;
+  el.querySelectorAll('button[data-batch]').forEach(btn => {
+    btn.addEventListener('click', () => removeImportBatch(Number(btn.getAttribute('data-batch'))));
+  });
+  el.querySelectorAll('input.batch-account').forEach(input => {
+    input.addEventListener('change', () => setBatchAccount(Number(input.getAttribute('data-batch')), input.value));
+  });
+  const clearBtn = document.getElementById('clearImportsBtn');
+  if (clearBtn) clearBtn.style.display = IMPORT_BATCHES.length ? '' : 'none';
+}
+
+// --- OFX / QFX / QIF statements (parsers in core.js)
+// `parsed` is parseStatement's result when the worker already did the parsing
+function loadStatementText(text, fileName = '', profileId = '', parsed = null) {
+  const format = detectStatementFormat(fileName, text);
+  if (format === 'csv' && parsed) {
+    if (!parsed.txns) { openMappingPanel(parsed.rows, '', fileName); return []; }
+    return importRows(parsed.rows, parsed.profile, fileName, parsed.txns);
+  }
+  if (format === 'csv') return loadCsvText(text, profileId, fileName);
+  const { txns, source, dateFormat } = parsed || parseStatement(text, fileName);
+  return importTxnBatch(txns, fileName || `${format.toUpperCase()} statement`, source, '', dateFormat);
 }
 
-// --- Date helpers
-function parseDateSmart(s) {
-  if (!s) return null;
-  // Try native
-  let d = new Date(s);
-  if (!isNaN(d)) return d;
+function setImportStatus(msg) {
+  const el = document.getElementById('importStatus');
+  if (el) el.textContent = msg || '';
+}
+
+function rebuildProfileSelect() {
+  const sel = document.getElementById('importProfile');
+  if (!sel) return;
+  const current = sel.value;
+  sel.innerHTML = `<option value="">Auto-detect</option>` +
+    allProfiles().map(p => `<option value="${escapeHtml(p.id)}">${escapeHtml(p.name)}</option>`).join('');
+  sel.value = findProfile(current) ? current : '';
+}
 
-  // Try DD/MM/YYYY or MM/DD/YYYY
-  const m1 = String(s).trim().match(/^(\d{1,2})[\/\-](\d{1,2})[\/\-](\d{4})$/);
-  if (m1) {
-    const a = +m1[1], b = +m1[2], y = +m1[3];
-    // Heuristic: if first > 12 it's DD/MM/YYYY, else assume DD/MM (AU style)
-    const day = a > 12 ? a : b > 12 ? b : a; // prefer AU
-    const month = a > 12 ? b : a;            // prefer AU
-    return new Date(y, month - 1, day);
+function rebuildDateFormatSelects() {
+  const options = Object.entries(DATE_FORMATS).map(([k, label]) => `<option value="${k}">${escapeHtml(label)}</option>`).join('');
+  for (const id of ['dateFormat', 'map_dateFormat']) {
+    const sel = document.getElementById(id);
+    if (sel) { sel.innerHTML = options; sel.value = DATE_FORMAT; }
   }
+}
 
-  // Handle Qudos format e.g. "12:00am Mon 1 September, 2025"
-  // Strip leading time if present
-  const s2 = String(s).replace(/^\d{1,2}:\d{2}\s*(am|pm)\s*/i, '');
-  const m2 = s2.match(/^(Mon|Tue|Wed|Thu|Fri|Sat|Sun)?\s*(\d{1,2})\s+(January|February|March|April|May|June|July|August|September|October|November|December),?\s+(\d{4})/i);
-  if (m2) {
-    const day = parseInt(m2[2], 10);
-    const monthName = m2[3].toLowerCase();
-    const y = parseInt(m2[4], 10);
-    const monthMap = {january:0,february:1,march:2,april:3,may:4,june:5,july:6,august:7,september:8,october:9,november:10,december:11};
-    const mi = monthMap[monthName];
-    if (mi != null) return new Date(y, mi, day);
+// --- Manual column mapping (shown when no profile fits)
+// One file at a time: files needing a mapping while the panel is busy wait in PENDING_MAPPINGS
+function openMappingPanel(rows, reason, fileName = '') {
+  if (PENDING_IMPORT) { PENDING_MAPPINGS.push({ rows, reason, fileName }); renderImportSummary(); return; }
+  PENDING_IMPORT = { rows, fileName };
+  renderImportSummary();
+  const panel = document.getElementById('mappingPanel');
+  if (!panel) return;
+  const width = Math.max(0, ...rows.slice(0, 20).map(r => r.length));
+  const guess = guessProfileFromHeader(rows[0] || []) || {};
+  const options = Array.from({ length: width }, (_, i) => {
+    const head = rows[0] && rows[0][i] ? ` – ${rows[0][i]}` : '';
+    return `<option value="${i}">Column ${i + 1}${escapeHtml(head)}</option>`;
+  }).join('');
+  for (const key of ['date', 'description', 'amount', 'debit', 'credit']) {
+    const sel = document.getElementById(`map_${key}`);
+    sel.innerHTML = options;
+    sel.value = String(typeof guess[key] === 'number' ? guess[key] : Math.min(width - 1, { date: 0, description: 1, amount: 2, debit: 2, credit: 3 }[key]));
   }
+  document.getElementById('map_header').checked = !!guess.header || !(rows[0] || []).some(c => parseDateSmart(c));
+  document.getElementById('map_mode').value = guess.amountMode || 'signed';
+  document.getElementById('map_dateFormat').value = DATE_FORMAT;
+  document.getElementById('map_negate').checked = guess.amountMode ? !!guess.negate : false;
+  const what = fileName ? `“${fileName}”` : 'This export';
+  document.getElementById('mappingReason').textContent = reason || `${what} layout wasn’t recognised. Pick the columns to use:`;
+
+  const preview = rows.slice(0, 5);
+  document.getElementById('mappingPreview').innerHTML =
+    '<tr>' + Array.from({ length: width }, (_, i) => `<th>${i + 1}</th>`).join('') + '</tr>' +
+    preview.map(r => '<tr>' + Array.from({ length: width }, (_, i) => `<td>${escapeHtml(r[i] ?? '')}</td>`).join('') + '</tr>').join('');
+  updateMappingModeUI();
+  panel.style.display = '';
+}
+
+// Done with the current file: show the next queued one, or hide the panel
+function closeMappingPanel() {
+  PENDING_IMPORT = null;
+  const next = PENDING_MAPPINGS.shift();
+  if (next) { openMappingPanel(next.rows, next.reason, next.fileName); return; }
+  const panel = document.getElementById('mappingPanel');
+  if (panel) panel.style.display = 'none';
+  renderImportSummary();
+}
+
+function skipPendingImport(reason) {
+  if (!PENDING_IMPORT) return;
+  IMPORT_SUMMARY.push({ name: PENDING_IMPORT.fileName || 'CSV', notImported: reason });
+  closeMappingPanel();
+}
+
+function updateMappingModeUI() {
+  const split = document.getElementById('map_mode').value === 'split';
+  document.getElementById('mapSignedFields').style.display = split ? 'none' : '';
+  document.getElementById('mapSplitFields').style.display = split ? '' : 'none';
+}
 
-  return null;
+function profileFromMappingForm() {
+  const num = (id) => Number(document.getElementById(id).value);
+  const name = document.getElementById('map_name').value.trim();
+  const mode = document.getElementById('map_mode').value;
+  const header = document.getElementById('map_header').checked;
+  const profile = { id: name ? 'custom_' + normHeader(name).replace(/\s+/g, '_') : 'manual', name: name || 'Manual mapping',
+    header, date: num('map_date'), description: num('map_description'), amountMode: mode,
+    dateFormat: document.getElementById('map_dateFormat').value };
+  if (mode === 'split') { profile.debit = num('map_debit'); profile.credit = num('map_credit'); }
+  else { profile.amount = num('map_amount'); profile.negate = document.getElementById('map_negate').checked; }
+  // Saved profiles match future files by their header names
+  if (name && header && PENDING_IMPORT && PENDING_IMPORT.rows[0]) {
+    const head = PENDING_IMPORT.rows[0];
+    const used = [profile.date, profile.description, profile.amount, profile.debit, profile.credit].filter(i => typeof i === 'number');
+    profile.match = used.map(i => head[i]).filter(Boolean);
+  } else if (name) {
+    profile.minCols = Math.max(profile.date, profile.description, profile.amount ?? 0, profile.debit ?? 0, profile.credit ?? 0) + 1;
+  }
+  return profile;
 }
-function yyyymm(d) { return `${d.getFullYear()}-${String(d.getMonth()+1).padStart(2,'0')}`; }
+
+function applyMapping() {
+  if (!PENDING_IMPORT) return;
+  const profile = profileFromMappingForm();
+  if (profile.id !== 'manual') {
+    const list = loadCustomProfiles().filter(p => p.id !== profile.id);
+    list.unshift(profile);
+    saveCustomProfiles(list);
+    rebuildProfileSelect();
+  }
+  const { rows, fileName } = PENDING_IMPORT;
+  const txns = rowsToTxns(rows, profile);
+  if (!txns.length) {
+    document.getElementById('mappingReason').textContent = `No transactions found using “${profile.name}”. Pick the columns to use:`;
+    return;
+  }
+  importRows(rows, profile, fileName, txns);
+  closeMappingPanel();
+}
+
+// --- Date helpers (parsing is in core.js)
+let DATE_FORMAT = 'auto'; // the user's choice; 'auto' lets each file decide
 
 function getFirstTxnMonth(txns = CURRENT_TXNS) {
   if (!txns.length) return null;
-  const d = parseDateSmart(txns[0].date);
-  if (!d || isNaN(d)) return null;
-  return yyyymm(d);
+  return txnMonth(txns[0]) || null;
+}
+
+// --- Periods (period keys and ranges are in core.js)
+function periodLabel(key) {
+  if (!key) return 'All months';
+  let m;
+  if (/^\d{4}-\d{2}$/.test(key)) return formatMonthLabel(key);
+  if ((m = key.match(/^(\d{4})-Q([1-4])$/))) return `Q${m[2]} ${m[1]}`;
+  if (/^\d{4}$/.test(key)) return `Calendar year ${key}`;
+  if ((m = key.match(/^FY(\d{4})$/))) return `FY ${m[1] - 1}–${m[1].slice(2)}`;
+  if (RECENT_PERIODS[key]) return `Last ${RECENT_PERIODS[key]} days`;
+  const r = periodRange(key);
+  if (r) {
+    const fmt = (d) => d.toLocaleDateString(undefined, { day: 'numeric', month: 'short', year: 'numeric' });
+    return `${fmt(r.from)} – ${fmt(new Date(r.to.getFullYear(), r.to.getMonth(), r.to.getDate() - 1))}`;
+  }
+  return '';
 }
 
-// Build month list for dropdown
+function isSingleMonth(key) { return /^\d{4}-\d{2}$/.test(key || ''); }
+
+
+// Build the period list for the dropdown from the months present in the data
 function rebuildMonthDropdown() {
   const sel = document.getElementById('monthFilter');
   const months = new Set();
   for (const t of CURRENT_TXNS) {
-    const d = parseDateSmart(t.date);
-    if (d) months.add(yyyymm(d));
+    const ym = txnMonth(t);
+    if (ym) months.add(ym);
   }
   const list = Array.from(months).sort(); // ascending
+  const uniq = (arr) => [...new Set(arr)];
+  const quarters = uniq(list.map(ym => `${ym.slice(0, 4)}-Q${Math.ceil(Number(ym.slice(5)) / 3)}`));
+  const years = uniq(list.map(ym => ym.slice(0, 4)));
+  const fys = uniq(list.map(ym => `FY${Number(ym.slice(0, 4)) + (Number(ym.slice(5)) >= 7 ? 1 : 0)}`));
+  const group = (label, keys) => keys.length ? `<optgroup label="${label}">` + keys.map(k => `<option value="${k}">${escapeHtml(periodLabel(k))}</option>`).join('') + '</optgroup>' : '';
+
   const current = MONTH_FILTER;
-  sel.innerHTML = `<option value="">All months</option>` + list.map(m => `<option value="${m}">${formatMonthLabel(m)}</option>`).join('');
-  sel.value = current && list.includes(current) ? current : "";
+  const custom = current && /\.\./.test(current) ? [current] : [];
+  sel.innerHTML = `<option value="">All months</option>` +
+    group('Months', list) + group('Quarters', quarters) + group('Calendar years', years) + group('Financial years (Jul–Jun)', fys) +
+    group('Recent', Object.keys(RECENT_PERIODS)) +
+    `<optgroup label="Custom">${custom.map(k => `<option value="${k}">${escapeHtml(periodLabel(k))}</option>`).join('')}<option value="__custom">Custom range…</option></optgroup>`;
+  const known = [...list, ...quarters, ...years, ...fys, ...Object.keys(RECENT_PERIODS), ...custom];
+  sel.value = current && known.includes(current) ? current : "";
   updateMonthBanner();
 }
 
 function monthFilteredTxns() {
-  if (!MONTH_FILTER) return CURRENT_TXNS;
-  return CURRENT_TXNS.filter(t => {
-    const d = parseDateSmart(t.date);
-    return d && yyyymm(d) === MONTH_FILTER;
-  });
+  const txns = accountFilteredTxns();
+  const range = periodRange(MONTH_FILTER);
+  if (!range) return txns;
+  return txns.filter(t => inPeriod(txnDate(t), range));
 }
 
-function parseRules(text) {
-  const lines = String(text || "").split(/\r?\n/);
-  const rules = [];
-  for (const line of lines) {
-    const trimmed = line.trim();
-    if (!trimmed || trimmed.startsWith('#')) continue;
-    const parts = trimmed.split(/=>/i);
-    if (parts.length >= 2) {
-      const keyword = parts[0].trim().toLowerCase();
-      const category = parts[1].trim().toUpperCase();
-      if (keyword && category) rules.push({ keyword, category });
+function showCustomRange(show) {
+  const box = document.getElementById('customRange');
+  if (!box) return;
+  box.style.display = show ? '' : 'none';
+  if (show) {
+    const r = periodRange(MONTH_FILTER);
+    if (r) {
+      document.getElementById('periodFrom').value = isoDay(r.from);
+      document.getElementById('periodTo').value = isoDay(new Date(r.to.getFullYear(), r.to.getMonth(), r.to.getDate() - 1));
     }
   }
-  return rules;
 }
 
-// flexible matcher to support multi-word (e.g., "paypal pypl")
-function matchesKeyword(descLower, keywordLower){
-  if (!keywordLower) return false;
-  const parts = String(keywordLower).split(/\s+/).filter(Boolean);
-  let pos = 0;
-  for (const p of parts){
-    const i = descLower.indexOf(p, pos);
-    if (i === -1) return false;
-    pos = i + p.length;
+function applyCustomRange() {
+  let from = document.getElementById('periodFrom').value, to = document.getElementById('periodTo').value;
+  if (!from || !to) return;
+  if (from > to) [from, to] = [to, from];
+  showCustomRange(false);
+  setMonthFilter(`${from}..${to}`);
+}
+
+// --- Category types (directives are parsed in core.js)
+let CATEGORY_TYPES = new Map(Object.entries(DEFAULT_CATEGORY_TYPES));
+
+// --- Category hierarchy: "FOOD:GROCERIES" is a child of FOOD
+let COLLAPSED_CATS = new Set();
+let TOTALS_VIEW = 'detailed'; // exports: 'detailed' or 'rollup'
+
+function childLabel(cat) {
+  const i = String(cat).indexOf(':');
+  return i === -1 ? '(general)' : toTitleCase(cat.slice(i + 1));
+}
+function loadCollapsedCats() {
+  COLLAPSED_CATS = new Set(storeGet(STORE_KEYS.COLLAPSED_CATS, []));
+}
+function toggleCategoryGroup(parent) {
+  if (COLLAPSED_CATS.has(parent)) COLLAPSED_CATS.delete(parent); else COLLAPSED_CATS.add(parent);
+  storeSet(STORE_KEYS.COLLAPSED_CATS, [...COLLAPSED_CATS]);
+  const collapsed = COLLAPSED_CATS.has(parent);
+  document.querySelectorAll('#categoryTotals tr.child').forEach(tr => {
+    if (tr.getAttribute('data-parent') === parent) tr.style.display = collapsed ? 'none' : '';
+  });
+  document.querySelectorAll('#categoryTotals button.cat-toggle').forEach(b => {
+    if (b.getAttribute('data-parent') === parent) b.textContent = collapsed ? '▸' : '▾';
+  });
+}
+
+// --- Budgets
+// Kept in the rules text: "@budget GROCERIES 600" (every month) and "@budget GROCERIES 2025-12 900" (one month).
+let BUDGETS = { monthly: new Map(), months: new Map() }; // months: 'CAT|YYYY-MM' -> amount
+
+// Months a budget covers: the selected month, else every month in the data
+function budgetMonths(txns) { return isSingleMonth(MONTH_FILTER) ? [MONTH_FILTER] : txnMonths(txns); }
+
+// Insert, replace or (with a blank amount) remove the every-month budget line for a category
+function upsertBudgetLine(cat, amountText) {
+  const box = document.getElementById('rulesBox');
+  const lines = String(box.value || '').split(/\r?\n/);
+  const isLine = (l) => { const m = l.trim().match(/^@budget\s+(.+?)\s+(-?[\d.,]+)$/i); return m && m[1].trim().toUpperCase() === cat && !/\d{4}-\d{2}\s*$/.test(m[1]); };
+  const idx = lines.findIndex(isLine);
+  const value = String(amountText || '').trim();
+  const newLine = `@budget ${cat} ${parseAmount(value).toFixed(2).replace(/\.00$/, '')}`;
+  if (!value) { if (idx !== -1) lines.splice(idx, 1); }
+  else if (idx !== -1) lines[idx] = newLine;
+  else lines.push(newLine);
+  box.value = lines.join('\n');
+  storeSet(STORE_KEYS.RULES, box.value);
+  applyRulesAndRender({keepPage: true});
+}
+
+function renderBudgetCells(row) {
+  const monthly = BUDGETS.monthly.has(row.cat) ? BUDGETS.monthly.get(row.cat) : '';
+  const input = `<input class="budget-input" type="number" min="0" step="1" data-cat="${escapeHtml(row.cat)}" value="${monthly}" title="Monthly budget" placeholder="${monthly === '' && row.budget != null ? row.budget.toFixed(0) : '–'}">`;
+  if (row.budget == null) return `<td class="num">${input}</td><td class="num"></td><td></td>`;
+  const pct = row.budget > 0 ? Math.min(100, row.total / row.budget * 100) : 100;
+  const over = row.remaining < 0;
+  return `<td class="num">${input}${isSingleMonth(MONTH_FILTER) ? '' : `<div class="muted">${row.budget.toFixed(2)}</div>`}</td>` +
+    `<td class="num${over ? ' over' : ''}">${row.remaining.toFixed(2)}</td>` +
+    `<td><div class="budget-bar${over ? ' over' : ''}" title="${row.budget > 0 ? (row.total / row.budget * 100).toFixed(0) : '–'}% used"><span style="width:${pct.toFixed(1)}%"></span></div></td>`;
+}
+
+function renderCategoryTotals(txns) {
+  const { rows, grand, income, transfers } = computeCategoryTotals(txns, CATEGORY_TYPES);
+  const spendGroups = groupCategoryRows(budgetedSpendRows(rows, budgetMonths(txns), BUDGETS, CATEGORY_TYPES));
+  const incomeGroups = groupCategoryRows(income.rows.map(([cat, total]) => ({ cat, total, budget: null, remaining: null })));
+  const totalBudget = spendGroups.reduce((acc, g) => acc + (g.budget || 0), 0);
+  const hasBudget = spendGroups.some(g => g.budget != null);
+  const totalsDiv = document.getElementById('categoryTotals');
+  const blanks = '<td></td><td></td><td></td>';
+  const catCell = (cat, label = toTitleCase(cat), toggle = '') =>
+    `<td>${toggle}<a class="catlink" data-cat="${escapeHtml(cat)}"><span class=\"category-name\">${escapeHtml(label)}</span></a></td>`;
+
+  // One row per flat category; a parent row with its subtotal followed by (collapsible) child rows otherwise
+  const groupRows = (groups, sectionTotal, withBudget) => {
+    let out = '';
+    const row = (r, cls, cell, extra) => `<tr class="${cls}${withBudget && r.remaining != null && r.remaining < 0 ? ' over-budget' : ''}"${extra || ''}>${cell}
+      <td class=\"num\">${r.total.toFixed(2)}</td><td class=\"num\">${(sectionTotal ? (r.total / sectionTotal * 100) : 0).toFixed(1)}%</td>${withBudget ? renderBudgetCells(r) : blanks}
+    </tr>`;
+    for (const g of groups) {
+      if (!g.hasChildren) { out += row(g.children[0], '', catCell(g.cat)); continue; }
+      const collapsed = COLLAPSED_CATS.has(g.cat);
+      const toggle = `<button class="cat-toggle" data-parent="${escapeHtml(g.cat)}" title="Show/hide subcategories">${collapsed ? '▸' : '▾'}</button>`;
+      out += row(g, 'parent', catCell(g.cat, toTitleCase(g.cat), toggle));
+      for (const c of g.children) {
+        // a parent-level budget already sits on the parent row
+        const child = c.cat === g.cat ? { ...c, budget: null, remaining: null } : c;
+        out += row(child, 'child', catCell(c.cat, childLabel(c.cat)), ` data-parent="${escapeHtml(g.cat)}"${collapsed ? ' style="display:none"' : ''}`);
+      }
+    }
+    return out;
+  };
+
+  let html = '<table class="cats"><colgroup><col class="col-cat"><col class="col-total"><col class="col-pct"><col class="col-budget"><col class="col-total"><col class="col-bar"></colgroup>' +
+    '<thead><tr><th>Spending</th><th class="num">Spent</th><th class="num">% of spend</th><th class="num">Budget</th><th class="num">Remaining</th><th></th></tr></thead><tbody>';
+  html += groupRows(spendGroups, grand, true);
+  html += `</tbody><tbody class="subtotal"><tr><td>Total spending</td><td class=\"num\">${grand.toFixed(2)}</td><td class=\"num\">100%</td>` +
+    (hasBudget ? `<td class="num">${totalBudget.toFixed(2)}</td><td class="num${totalBudget - grand < 0 ? ' over' : ''}">${(totalBudget - grand).toFixed(2)}</td><td></td>` : blanks) + '</tr></tbody>';
+  if (income.rows.length) {
+    html += '<tbody class="section"><tr><th>Income</th><th class="num">Total</th><th class="num">% of income</th><th></th><th></th><th></th></tr></tbody><tbody>';
+    html += groupRows(incomeGroups, income.total, false);
+    html += `</tbody><tbody class="subtotal"><tr><td>Total income</td><td class=\"num\">${income.total.toFixed(2)}</td><td class=\"num\">100%</td>${blanks}</tr></tbody>`;
   }
-  return true;
-  
+  html += `<tfoot><tr><td>Net (income − spending)</td><td class=\"num\">${(income.total - grand).toFixed(2)}</td><td></td>${blanks}</tr></tfoot></table>`;
+  if (transfers.count) {
+    html += `<p class="muted">Excluded ${transfers.count} transfer${transfers.count === 1 ? '' : 's'} (net ${transfers.total.toFixed(2)}).</p>`;
+  }
+  totalsDiv.innerHTML = html;
+
+  totalsDiv.querySelectorAll('a.catlink').forEach(a => {
+    a.addEventListener('click', () => setCategoryFilter(a.getAttribute('data-cat')));
+  });
+  totalsDiv.querySelectorAll('button.cat-toggle').forEach(b => {
+    b.addEventListener('click', () => toggleCategoryGroup(b.getAttribute('data-parent')));
+  });
+  totalsDiv.querySelectorAll('input.budget-input').forEach(input => {
+    input.addEventListener('change', () => upsertBudgetLine(input.getAttribute('data-cat'), input.value));
+  });
+}
+
+function setCategoryFilter(cat) {
+  CURRENT_FILTER = cat || null;
+  storeSet(STORE_KEYS.FILTER, CURRENT_FILTER);
+  updateFilterUI(); CURRENT_PAGE = 1;
+  renderTransactionsTable();
+  renderMonthTotals();
+}
+
+function setMonthFilter(ym) {
+  MONTH_FILTER = ym || "";
+  storeSet(STORE_KEYS.MONTH, MONTH_FILTER);
+  rebuildMonthDropdown();
+  CURRENT_PAGE = 1;
+  applyRulesAndRender();
+}
+
+// --- Trends (categories × months) and inline SVG charts
+const CHART_COLOURS = ['#ff4fb3', '#7a5cff', '#00c2ff', '#ffb020', '#2ecc71', '#ff6b6b', '#8e44ad', '#16a085', '#f39c12', '#95a5a6'];
+const CHART_MAX_CATS = 9; // the rest are grouped as "Other" in the charts
+
+function shortMonthLabel(ym) {
+  const [y, m] = ym.split('-').map(Number);
+  return new Date(y, m - 1, 1).toLocaleString(undefined, { month: 'short', year: '2-digit' });
 }
 
-function categorise(txns, rules) {
+// Spending per category per month, using the same rules as the totals table
+function computeTrend(txns) {
+  const byMonth = new Map();
   for (const t of txns) {
-    const descLower = String(t.desc || t.description || "").toLowerCase();
-    const amount = Math.abs(Number(t.amount || t.debit || 0));
-
-    // 1) normal rule match
-    let matched = null;
-    for (const r of rules) {
-      if (matchesKeyword(descLower, r.keyword)) {
-        matched = r.category;
-        break;
-      }
+    const ym = txnMonth(t); if (!ym) continue;
+    if (!byMonth.has(ym)) byMonth.set(ym, []);
+    byMonth.get(ym).push(t);
+  }
+  const months = [...byMonth.keys()].sort();
+  const cells = new Map(); // cat -> Map(month -> spend)
+  const monthTotals = new Map();
+  for (const ym of months) {
+    const { rows, grand } = computeCategoryTotals(byMonth.get(ym), CATEGORY_TYPES);
+    monthTotals.set(ym, grand);
+    for (const [cat, total] of rows) {
+      if (!cells.has(cat)) cells.set(cat, new Map());
+      cells.get(cat).set(ym, total);
     }
+  }
+  const rows = [...cells.entries()].map(([cat, m]) => {
+    const values = months.map(ym => m.get(ym) || 0);
+    const total = values.reduce((a, b) => a + b, 0);
+    const last = values[values.length - 1], prev = values[values.length - 2];
+    const change = months.length > 1 && prev ? (last - prev) / Math.abs(prev) * 100 : null;
+    return { cat, values, total, average: months.length ? total / months.length : 0, change };
+  }).sort((a, b) => b.total - a.total);
+  return { months, rows, monthTotals: months.map(ym => monthTotals.get(ym)) };
+}
+
+function chartColour(i) { return CHART_COLOURS[i % CHART_COLOURS.length]; }
 
-    // 2) special case: tiny purchases at petrol stations → Coffee
-    //    (do it based on the *resulting category*, not the description text)
-    if (matched && String(matched).toUpperCase() === "PETROL" && amount <= 2) {
-      matched = "COFFEE";
+// Top categories keep their own colour; everything else is folded into OTHER
+function chartCategories(rows) {
+  return rows.filter(r => r.total > 0).slice(0, CHART_MAX_CATS).map(r => r.cat);
+}
+
+function renderStackedBars(trend) {
+  const cats = chartCategories(trend.rows);
+  const W = 640, H = 220, pad = 28, gap = 8;
+  const n = trend.months.length;
+  if (!n) return '';
+  const stacks = trend.months.map((ym, mi) => {
+    const parts = cats.map((cat, ci) => ({ cat, colour: chartColour(ci), value: Math.max(0, trend.rows.find(r => r.cat === cat).values[mi]) }));
+    const other = trend.rows.filter(r => !cats.includes(r.cat)).reduce((a, r) => a + Math.max(0, r.values[mi]), 0);
+    if (other > 0) parts.push({ cat: '', colour: '#ccc', value: other });
+    return { ym, parts, total: parts.reduce((a, p) => a + p.value, 0) };
+  });
+  const max = Math.max(1, ...stacks.map(st => st.total));
+  const bw = Math.max(6, (W - pad * 2) / n - gap);
+  let svg = `<svg class="chart" viewBox="0 0 ${W} ${H + 20}" role="img" aria-label="Spending per month">`;
+  stacks.forEach((st, i) => {
+    const x = pad + i * (bw + gap);
+    let y = H;
+    for (const p of st.parts) {
+      if (p.value <= 0) continue;
+      const h = p.value / max * (H - pad);
+      y -= h;
+      svg += `<rect class="seg" x="${x.toFixed(1)}" y="${y.toFixed(1)}" width="${bw.toFixed(1)}" height="${h.toFixed(1)}" fill="${p.colour}" data-month="${st.ym}" data-cat="${escapeHtml(p.cat)}">` +
+             `<title>${escapeHtml(shortMonthLabel(st.ym))} · ${escapeHtml(p.cat ? toTitleCase(p.cat) : 'Other')}: ${p.value.toFixed(2)}</title></rect>`;
+    }
+    svg += `<text class="seg" x="${(x + bw / 2).toFixed(1)}" y="${H + 14}" text-anchor="middle" data-month="${st.ym}" data-cat="">${escapeHtml(shortMonthLabel(st.ym))}</text>`;
+  });
+  return svg + '</svg>';
+}
+
+function renderPie(txns) {
+  const { rows, grand } = computeCategoryTotals(txns, CATEGORY_TYPES);
+  const positive = rows.filter(([, v]) => v > 0);
+  const total = positive.reduce((a, [, v]) => a + v, 0);
+  if (!total) return '';
+  const R = 90, C = 100;
+  const top = positive.slice(0, CHART_MAX_CATS);
+  const other = positive.slice(CHART_MAX_CATS).reduce((a, [, v]) => a + v, 0);
+  const slices = top.map(([cat, v], i) => ({ cat, value: v, colour: chartColour(i) }));
+  if (other > 0) slices.push({ cat: '', value: other, colour: '#ccc' });
+  let angle = -Math.PI / 2;
+  let svg = `<svg class="chart pie" viewBox="0 0 ${C * 2} ${C * 2}" role="img" aria-label="Spending by category">`;
+  for (const sl of slices) {
+    const frac = sl.value / total;
+    const title = `<title>${escapeHtml(sl.cat ? toTitleCase(sl.cat) : 'Other')}: ${sl.value.toFixed(2)} (${(frac * 100).toFixed(1)}%)</title>`;
+    if (frac >= 0.9999) {
+      svg += `<circle class="seg" cx="${C}" cy="${C}" r="${R}" fill="${sl.colour}" data-cat="${escapeHtml(sl.cat)}">${title}</circle>`;
+      break;
     }
+    const a2 = angle + frac * Math.PI * 2;
+    const x1 = C + R * Math.cos(angle), y1 = C + R * Math.sin(angle);
+    const x2 = C + R * Math.cos(a2), y2 = C + R * Math.sin(a2);
+    svg += `<path class="seg" d="M${C},${C} L${x1.toFixed(2)},${y1.toFixed(2)} A${R},${R} 0 ${frac > 0.5 ? 1 : 0} 1 ${x2.toFixed(2)},${y2.toFixed(2)} Z" fill="${sl.colour}" data-cat="${escapeHtml(sl.cat)}">${title}</path>`;
+    angle = a2;
+  }
+  svg += '</svg>';
+  const legend = slices.map(sl => `<li><span class="swatch" style="background:${sl.colour}"></span>${escapeHtml(sl.cat ? toTitleCase(sl.cat) : 'Other')}</li>`).join('');
+  return svg + `<ul class="chart-legend">${legend}</ul>`;
+}
+
+function formatChange(pct) {
+  if (pct == null || !isFinite(pct)) return '–';
+  const cls = pct > 0 ? 'up' : pct < 0 ? 'down' : '';
+  return `<span class="change ${cls}">${pct > 0 ? '+' : ''}${pct.toFixed(0)}%</span>`;
+}
 
-    t.category = matched || "UNCATEGORISED";
+function renderTrends() {
+  const el = document.getElementById('trends');
+  const details = document.getElementById('trendsDetails');
+  if (!el || (details && !details.open)) return;
+  const trend = computeTrend(accountFilteredTxns());
+  if (!trend.months.length) { el.innerHTML = '<p class="muted">Load transactions to see trends.</p>'; return; }
+
+  let html = `<div class="charts"><div><h3>Spending per month</h3>${renderStackedBars(trend)}</div>` +
+             `<div><h3>${escapeHtml(friendlyMonthOrAll(MONTH_FILTER))}</h3>${renderPie(monthFilteredTxns())}</div></div>`;
+  html += '<div class="table-scroll"><table class="trend zebra"><thead><tr><th>Category</th>' +
+    trend.months.map(ym => `<th class="num"><a class="monthlink" data-month="${ym}">${escapeHtml(shortMonthLabel(ym))}</a></th>`).join('') +
+    '<th class="num">Average</th><th class="num">vs prev. month</th></tr></thead><tbody>';
+  for (const r of trend.rows) {
+    html += `<tr><td><a class="catlink" data-cat="${escapeHtml(r.cat)}">${escapeHtml(toTitleCase(r.cat))}</a></td>` +
+      r.values.map(v => `<td class="num">${v ? v.toFixed(2) : ''}</td>`).join('') +
+      `<td class="num">${r.average.toFixed(2)}</td><td class="num">${formatChange(r.change)}</td></tr>`;
   }
+  const avg = trend.monthTotals.reduce((a, b) => a + b, 0) / trend.months.length;
+  const n = trend.monthTotals.length;
+  const totalChange = n > 1 && trend.monthTotals[n - 2] ? (trend.monthTotals[n - 1] - trend.monthTotals[n - 2]) / Math.abs(trend.monthTotals[n - 2]) * 100 : null;
+  html += `</tbody><tfoot><tr><td>Total spending</td>${trend.monthTotals.map(v => `<td class="num">${v.toFixed(2)}</td>`).join('')}` +
+          `<td class="num">${avg.toFixed(2)}</td><td class="num">${formatChange(totalChange)}</td></tr></tfoot></table></div>`;
+  el.innerHTML = html;
+
+  // Charts and table filter the same way the category links do
+  el.querySelectorAll('.seg, a.monthlink').forEach(node => {
+    node.addEventListener('click', () => {
+      const month = node.getAttribute('data-month');
+      const cat = node.getAttribute('data-cat');
+      if (cat) { CURRENT_FILTER = cat; storeSet(STORE_KEYS.FILTER, cat); updateFilterUI(); }
+      if (month != null && month !== MONTH_FILTER) setMonthFilter(month);
+      else setCategoryFilter(CURRENT_FILTER);
+    });
+  });
+  el.querySelectorAll('a.catlink').forEach(a => a.addEventListener('click', () => setCategoryFilter(a.getAttribute('data-cat'))));
 }
 
+// --- Recurring payments
+// Spending at the same merchant (description without numbers/references) at a steady interval
+// and a similar amount. "Now" is the latest loaded transaction, so old statements don't look stopped.
+const CADENCES = [
+  { id: 'weekly', label: 'Weekly', days: 7, tolerance: 2, min: 4 },
+  { id: 'fortnightly', label: 'Fortnightly', days: 14, tolerance: 3, min: 3 },
+  { id: 'monthly', label: 'Monthly', days: 30.44, tolerance: 5, min: 3 },
+  { id: 'yearly', label: 'Yearly', days: 365.25, tolerance: 20, min: 2 },
+];
+const RECURRING_AMOUNT_TOLERANCE = 0.25; // charges within 25% of the typical amount count as the same payment
+const RECURRING_INTERVAL_SHARE = 0.75;   // share of gaps that must fit the cadence
+
+function merchantKey(desc) {
+  return normalizeDesc(desc).split(' ').filter(w => w && !/\d/.test(w)).slice(0, 3).join(' ');
+}
+function median(values) {
+  const v = values.slice().sort((a, b) => a - b);
+  const mid = Math.floor(v.length / 2);
+  return v.length % 2 ? v[mid] : (v[mid - 1] + v[mid]) / 2;
+}
+// First index in the sorted array whose value is >= value
+function lowerBound(sorted, value) {
+  let lo = 0, hi = sorted.length;
+  while (lo < hi) { const mid = (lo + hi) >> 1; if (sorted[mid] < value) lo = mid + 1; else hi = mid; }
+  return lo;
+}
+function addCadence(d, cadence) {
+  if (cadence.id === 'monthly') return new Date(d.getFullYear(), d.getMonth() + 1, d.getDate());
+  if (cadence.id === 'yearly') return new Date(d.getFullYear() + 1, d.getMonth(), d.getDate());
+  return new Date(d.getFullYear(), d.getMonth(), d.getDate() + cadence.days);
+}
+function dayDiff(a, b) { return Math.round((b - a) / DAY_MS); }
+
+// Charges that make up one payment: the most common price level plus any earlier or later levels
+// that follow on at the same interval, so a large price rise stays in the series
+function recurringSeries(all) {
+  const levels = [];
+  for (const x of all.sort((a, b) => a.d - b.d)) {
+    const level = levels.find(l => Math.abs(x.amount - l.amount) <= l.amount * RECURRING_AMOUNT_TOLERANCE);
+    if (level) level.items.push(x); else levels.push({ amount: x.amount, items: [x] });
+  }
+  const runs = levels.filter(l => l.items.length >= 2);
+  if (!runs.length) return [];
+  const main = runs.reduce((a, b) => b.items.length > a.items.length ? b : a);
+  const gaps = [];
+  for (let i = 1; i < main.items.length; i++) gaps.push(dayDiff(main.items[i - 1].d, main.items[i].d));
+  const gap = median(gaps);
+  const fits = (a, b) => Math.abs(dayDiff(a, b) - gap) <= Math.max(gap * RECURRING_AMOUNT_TOLERANCE, 3);
+  const first = (l) => l.items[0].d, last = (l) => l.items[l.items.length - 1].d;
+  const series = [main];
+  for (;;) {
+    const before = runs.find(l => !series.includes(l) && last(l) < first(series[0]) && fits(last(l), first(series[0])));
+    if (before) { series.unshift(before); continue; }
+    const after = runs.find(l => !series.includes(l) && first(l) > last(series[series.length - 1]) && fits(last(series[series.length - 1]), first(l)));
+    if (after) { series.push(after); continue; }
+    break;
+  }
+  const items = series.flatMap(l => l.items);
+  // A single charge at a new price, due right after the series, is the first bill after a rise
+  const end = items[items.length - 1].d;
+  const next = levels.find(l => l.items.length === 1 && l.items[0].d > end && fits(end, l.items[0].d));
+  if (next) items.push(next.items[0]);
+  return items;
+}
 
-function computeCategoryTotals(txns) {
-  const byCat = new Map();
+function detectRecurring(txns) {
+  const groups = new Map();
+  let asOf = null;
   for (const t of txns) {
-    const cat = (t.category || 'UNCATEGORISED').toUpperCase(); const displayCat = toTitleCase(cat);
-    byCat.set(cat, (byCat.get(cat) || 0) + t.amount);
+    const d = txnDate(t);
+    if (!d) continue;
+    if (!asOf || d > asOf) asOf = d;
+    const amount = Number(t.amount) || 0;
+    if (amount <= 0 || categoryType(t.category, CATEGORY_TYPES) === 'transfer') continue;
+    const key = merchantKey(t.description);
+    if (!key) continue;
+    (groups.get(key) || groups.set(key, []).get(key)).push({ t, d, amount });
+  }
+
+  const found = [];
+  for (const [key, all] of groups) {
+    const items = recurringSeries(all);
+    if (items.length < 2) continue;
+    const gaps = [];
+    for (let i = 1; i < items.length; i++) gaps.push(dayDiff(items[i - 1].d, items[i].d));
+    const gap = median(gaps);
+    const cadence = CADENCES.find(c => Math.abs(gap - c.days) <= c.tolerance);
+    if (!cadence || items.length < cadence.min) continue;
+    if (gaps.filter(g => Math.abs(g - cadence.days) <= cadence.tolerance).length < gaps.length * RECURRING_INTERVAL_SHARE) continue;
+
+    const last = items[items.length - 1];
+    const typical = median(items.slice(-3).map(x => x.amount));
+    const next = addCadence(last.d, cadence);
+    const overdue = dayDiff(next, asOf);
+    // Most recent price rise: the last charge compared with the one before it
+    let increase = null;
+    for (let i = items.length - 1; i > 0; i--) {
+      const diff = items[i].amount - items[i - 1].amount;
+      if (Math.abs(diff) < 0.005) continue;
+      if (diff > 0) increase = { from: items[i - 1].amount, to: items[i].amount, date: items[i].d };
+      break;
+    }
+    found.push({
+      key, cadence, count: items.length, typical,
+      annual: typical * 365.25 / cadence.days,
+      category: last.t.category || 'UNCATEGORISED',
+      description: last.t.description,
+      lastSeen: last.d, next,
+      stopped: overdue > Math.max(cadence.tolerance * 2, cadence.days / 2),
+      increase,
+    });
   }
-  const rows = [...byCat.entries()].sort((a,b) => b[1]-a[1]);
-  const grand = rows.reduce((acc, [,v]) => acc + v, 0);
-  return { rows, grand };
+  found.sort((a, b) => a.stopped - b.stopped || b.annual - a.annual);
+  return { items: found, asOf };
 }
 
-function renderCategoryTotals(txns) {
-  const { rows, grand } = computeCategoryTotals(txns);
-  const totalsDiv = document.getElementById('categoryTotals');
-  let html = '<table class="cats"><colgroup><col class="col-cat"><col class="col-total"><col class="col-pct"></colgroup><thead><tr><th>Category</th><th class="num">Total</th><th class="num">%</th></tr></thead><tbody>';
-  for (const [cat, total] of rows) {
-    html += `<tr>
-      <td><a class="catlink" data-cat="${escapeHtml(cat)}"><span class=\"category-name\">${escapeHtml(toTitleCase(cat))}</span></a></td>
-      <td class=\"num\">${total.toFixed(2)}</td><td class=\"num\">${(grand ? (total / grand * 100) : 0).toFixed(1)}%</td>
+function renderRecurring() {
+  const el = document.getElementById('recurring');
+  const details = document.getElementById('recurringDetails');
+  if (!el || (details && !details.open)) return;
+  const { items, asOf } = detectRecurring(CURRENT_TXNS);
+  if (!items.length) {
+    el.innerHTML = `<p class="muted">${CURRENT_TXNS.length ? 'No recurring payments found yet – they need a few regular charges to show up.' : 'Load transactions to find recurring payments.'}</p>`;
+    return;
+  }
+  const fmt = (d) => d.toLocaleDateString(undefined, { day: 'numeric', month: 'short', year: 'numeric' });
+  const active = items.filter(r => !r.stopped);
+  let html = `<p class="muted">As of ${escapeHtml(fmt(asOf))}, the latest loaded transaction.</p>`;
+  html += '<div class="table-scroll"><table class="zebra recurring-table"><thead><tr><th>Merchant</th><th>Category</th><th>Cadence</th>' +
+          '<th class="num">Typical</th><th class="num">Per year</th><th>Last seen</th><th>Next expected</th><th>Status</th></tr></thead><tbody>';
+  for (const r of items) {
+    const flags = [];
+    if (r.stopped) flags.push('<span class="tag stopped">Stopped?</span>');
+    if (r.increase) flags.push(`<span class="tag increase" title="Since ${escapeHtml(fmt(r.increase.date))}">Up ${r.increase.from.toFixed(2)} → ${r.increase.to.toFixed(2)}</span>`);
+    html += `<tr class="${r.stopped ? 'stopped' : ''}">
+      <td><a class="merchantlink" data-search="${escapeHtml(r.key.split(' ')[0])}" title="${escapeHtml(r.description)}">${escapeHtml(toTitleCase(r.key))}</a></td>
+      <td>${escapeHtml(toTitleCase(r.category))}</td>
+      <td>${r.cadence.label} <span class="muted">×${r.count}</span></td>
+      <td class="num">${r.typical.toFixed(2)}</td>
+      <td class="num">${r.annual.toFixed(2)}</td>
+      <td>${escapeHtml(fmt(r.lastSeen))}</td>
+      <td>${r.stopped ? '<span class="muted">–</span>' : escapeHtml(fmt(r.next))}</td>
+      <td>${flags.join(' ') || 'Active'}</td>
     </tr>`;
   }
-  html += `</tbody><tfoot><tr><td>Total</td><td class=\"num\">${grand.toFixed(2)}</td><td class=\"num\">100%</td></tr></tfoot></table>`;
-  totalsDiv.innerHTML = html;
+  const annual = active.reduce((a, r) => a + r.annual, 0);
+  html += `</tbody><tfoot><tr><td colspan="4">${active.length} active</td><td class="num">${annual.toFixed(2)}</td><td colspan="3"></td></tr></tfoot></table></div>`;
+  el.innerHTML = html;
+  // Show the merchant's charges in the transactions table
+  el.querySelectorAll('a.merchantlink').forEach(a => a.addEventListener('click', () => {
+    document.getElementById('txnSearch').value = a.getAttribute('data-search');
+    readSearchInputs();
+    if (isTxnsCollapsed()) toggleTransactions();
+  }));
+}
 
-  totalsDiv.querySelectorAll('a.catlink').forEach(a => {
-    a.addEventListener('click', () => {
-      CURRENT_FILTER = a.getAttribute('data-cat');
-      try { localStorage.setItem(LS_KEYS.FILTER, CURRENT_FILTER || ''); } catch {}
-      updateFilterUI(); CURRENT_PAGE = 1;
-      renderTransactionsTable();
-    });
-  });
+// --- Unusual activity
+// Spending that looks out of line with the loaded history: a charge far above the category's or
+// merchant's median, a large first charge from a new merchant, or a category month well above its average.
+const UNUSUAL_MIN_MONTHS = 3;     // months of history before anything is flagged
+const UNUSUAL_MIN_HISTORY = 4;    // other charges needed to know what is usual
+const UNUSUAL_FACTOR = 3;         // a charge this many times the median is unusual…
+const UNUSUAL_MIN_EXCESS = 50;    // …if it is also at least this much above it
+const UNUSUAL_NEW_MERCHANT = 200; // first charge from a new merchant at or above this
+const UNUSUAL_MONTH_FACTOR = 1.5; // a category month this much above its earlier average
+
+function isSpendingTxn(t) {
+  return Number(t.amount) > 0 && !t.transfer && categoryType(t.category, CATEGORY_TYPES) === 'expense';
 }
 
+function detectUnusual(txns) {
+  const dated = txns.map(t => ({ t, d: txnDate(t) })).filter(x => x.d).sort((a, b) => a.d - b.d);
+  const months = [...new Set(dated.map(x => yyyymm(x.d)))].sort();
+  if (months.length < UNUSUAL_MIN_MONTHS) return { items: [], months: months.length };
+  const spend = dated.filter(x => isSpendingTxn(x.t));
+
+  const byCat = new Map(), byMerchant = new Map();
+  const push = (map, key, x) => (map.get(key) || map.set(key, []).get(key)).push(x);
+  for (const x of spend) {
+    push(byCat, (x.t.category || 'UNCATEGORISED').toUpperCase(), x);
+    const key = merchantKey(x.t.description);
+    if (key) push(byMerchant, key, x);
+  }
+  // Each group's amounts sorted once; the median without one charge is read off around its position
+  const sorted = new Map(), position = new Map();
+  for (const group of [...byCat.values(), ...byMerchant.values()]) {
+    const amounts = group.map(o => Number(o.t.amount)).sort((a, b) => a - b);
+    sorted.set(group, amounts);
+    for (const o of group) {
+      const pos = position.get(o) || position.set(o, new Map()).get(o);
+      pos.set(group, lowerBound(amounts, Number(o.t.amount)));
+    }
+  }
+  // Median of the group without this charge, or null when there isn't enough history
+  const usual = (group, x) => {
+    const amounts = sorted.get(group), skip = position.get(x).get(group);
+    const n = amounts.length - 1;
+    if (n < UNUSUAL_MIN_HISTORY) return null;
+    const at = (i) => amounts[i < skip ? i : i + 1];
+    const mid = Math.floor(n / 2);
+    return n % 2 ? at(mid) : (at(mid - 1) + at(mid)) / 2;
+  };
+  const isHigh = (amount, typical) => typical != null && amount >= typical * UNUSUAL_FACTOR && amount - typical >= UNUSUAL_MIN_EXCESS;
+
+  const items = [];
+  for (const x of spend) {
+    const amount = Number(x.t.amount);
+    const cat = (x.t.category || 'UNCATEGORISED').toUpperCase();
+    const key = merchantKey(x.t.description);
+    const merchant = key ? byMerchant.get(key) : null;
+    const base = { id: `txn|${x.t.id}`, kind: 'txn', date: x.d, txn: x.t, category: cat, amount };
+    const merchantUsual = merchant ? usual(merchant, x) : null;
+    const catUsual = usual(byCat.get(cat), x);
+    if (isHigh(amount, merchantUsual)) {
+      items.push({ ...base, reason: `${(amount / merchantUsual).toFixed(1)}× the usual ${merchantUsual.toFixed(2)} at ${toTitleCase(key)}` });
+    } else if (isHigh(amount, catUsual)) {
+      items.push({ ...base, reason: `${(amount / catUsual).toFixed(1)}× the usual ${catUsual.toFixed(2)} for ${toTitleCase(cat)}` });
+    } else if (merchant && merchant[0] === x && amount >= UNUSUAL_NEW_MERCHANT && yyyymm(x.d) !== months[0]) {
+      // The first loaded month is skipped: every merchant is new there
+      items.push({ ...base, reason: `First charge from ${toTitleCase(key)}` });
+    }
+  }
 
+  // Category months against the average of the earlier months (months without spend count as 0)
+  const monthly = new Map(); // cat -> Map(month -> total)
+  for (const x of spend) {
+    const month = yyyymm(x.d);
+    for (const part of txnParts(x.t)) {
+      if (categoryType(part.category, CATEGORY_TYPES) !== 'expense') continue;
+      const m = monthly.get(part.category) || monthly.set(part.category, new Map()).get(part.category);
+      m.set(month, (m.get(month) || 0) + part.amount);
+    }
+  }
+  for (const [cat, totals] of monthly) {
+    const first = months.findIndex(m => totals.has(m));
+    for (let i = Math.max(first + UNUSUAL_MIN_MONTHS, 1); i < months.length; i++) {
+      const total = totals.get(months[i]) || 0;
+      const earlier = months.slice(first, i);
+      const avg = earlier.reduce((a, m) => a + (totals.get(m) || 0), 0) / earlier.length;
+      if (total > avg * UNUSUAL_MONTH_FACTOR && total - avg >= UNUSUAL_MIN_EXCESS) {
+        const [y, mo] = months[i].split('-').map(Number);
+        items.push({
+          id: `month|${cat}|${months[i]}`, kind: 'month', date: new Date(y, mo - 1, 1), month: months[i], category: cat, amount: total,
+          reason: `${toTitleCase(cat)} ${total.toFixed(2)} vs an average of ${avg.toFixed(2)} over ${earlier.length} earlier months`,
+        });
+      }
+    }
+  }
+  items.sort((a, b) => b.date - a.date);
+  return { items, months: months.length };
+}
+
+function dismissUnusual(id) {
+  UNUSUAL_DISMISSED.add(id);
+  storeSet(STORE_KEYS.DISMISSED, [...UNUSUAL_DISMISSED]);
+  renderUnusual();
+}
+
+// Dismissed charges used to be stored as "txn|day|amount|description" (txnKey); move them to transaction ids
+function migrateDismissedUnusual() {
+  const old = [...UNUSUAL_DISMISSED].filter(id => id.startsWith('txn|') && id.split('|').length === 4);
+  if (!old.length) return;
+  const byOldKey = new Map();
+  for (const t of CURRENT_TXNS) { const k = `txn|${txnKey(t)}`; (byOldKey.get(k) || byOldKey.set(k, []).get(k)).push(t); }
+  for (const id of old) {
+    UNUSUAL_DISMISSED.delete(id);
+    for (const t of byOldKey.get(id) || []) UNUSUAL_DISMISSED.add(`txn|${t.id}`);
+  }
+  storeSet(STORE_KEYS.DISMISSED, [...UNUSUAL_DISMISSED]);
+}
+
+function restoreDismissedUnusual() {
+  UNUSUAL_DISMISSED = new Set();
+  storeRemove(STORE_KEYS.DISMISSED);
+  renderUnusual();
+}
+
+function renderUnusual() {
+  const el = document.getElementById('unusual');
+  const details = document.getElementById('unusualDetails');
+  if (!el || (details && !details.open)) return;
+  const { items: all, months } = detectUnusual(CURRENT_TXNS);
+  const items = all.filter(u => !UNUSUAL_DISMISSED.has(u.id));
+  const dismissed = all.length - items.length;
+  if (months < UNUSUAL_MIN_MONTHS) {
+    el.innerHTML = `<p class="muted">Load at least ${UNUSUAL_MIN_MONTHS} months of transactions to spot unusual activity.</p>`;
+    return;
+  }
+  const restore = dismissed ? ` <button id="unusualRestoreBtn" class="secondary small">Show ${dismissed} dismissed</button>` : '';
+  if (!items.length) {
+    el.innerHTML = `<p class="muted">Nothing unusual in ${months} months of transactions.${restore}</p>`;
+  } else {
+    const fmt = (d) => d.toLocaleDateString(undefined, { day: 'numeric', month: 'short', year: 'numeric' });
+    let html = '<div class="table-scroll"><table class="zebra unusual-table"><thead><tr><th>Date</th><th>What</th><th>Category</th>' +
+               '<th class="num">Amount</th><th>Why</th><th></th></tr></thead><tbody>';
+    items.forEach((u, i) => {
+      const what = u.kind === 'txn'
+        ? `<a class="merchantlink" data-search="${escapeHtml(merchantKey(u.txn.description).split(' ')[0] || u.txn.description)}">${escapeHtml(u.txn.description)}</a>`
+        : `<a class="monthlink" data-month="${u.month}" data-cat="${escapeHtml(u.category)}">Monthly total</a>`;
+      html += `<tr>
+        <td>${escapeHtml(u.kind === 'txn' ? u.txn.date : friendlyMonthOrAll(u.month))}</td>
+        <td>${what}</td>
+        <td>${escapeHtml(toTitleCase(u.category))}</td>
+        <td class="num">${u.amount.toFixed(2)}</td>
+        <td>${escapeHtml(u.reason)}</td>
+        <td><button class="rule-btn unusual-dismiss" data-i="${i}" title="Don't flag this again">Dismiss</button></td>
+      </tr>`;
+    });
+    html += '</tbody></table></div>';
+    if (restore) html += `<p class="muted">${restore}</p>`;
+    el.innerHTML = html;
+  }
+  el.querySelectorAll('.unusual-dismiss').forEach(btn => btn.addEventListener('click', () => dismissUnusual(items[Number(btn.getAttribute('data-i'))].id)));
+  const restoreBtn = document.getElementById('unusualRestoreBtn');
+  if (restoreBtn) restoreBtn.addEventListener('click', restoreDismissedUnusual);
+  el.querySelectorAll('a.merchantlink').forEach(a => a.addEventListener('click', () => {
+    document.getElementById('txnSearch').value = a.getAttribute('data-search');
+    readSearchInputs();
+    if (isTxnsCollapsed()) toggleTransactions();
+  }));
+  // Show the category for that month
+  el.querySelectorAll('a.monthlink').forEach(a => a.addEventListener('click', () => {
+    setMonthFilter(a.getAttribute('data-month'));
+    setCategoryFilter(a.getAttribute('data-cat'));
+  }));
+}
 
 function renderMonthTotals() {
   // Use the same filtered set as the transactions table
@@ -235,22 +1369,125 @@ function renderMonthTotals() {
   if (el) {
     const label = friendlyMonthOrAll(MONTH_FILTER);
     const cat = CURRENT_FILTER ? ` + category \"${CURRENT_FILTER}\"` : "";
-    el.innerHTML = `Showing <span class="badge">${count}</span> transactions for <strong>${friendlyMonthOrAll(MONTH_FILTER)}${cat}</strong> · ` +
+    const account = ACCOUNT_FILTER ? ` in ${escapeHtml(ACCOUNT_FILTER)}` : "";
+    const search = TXN_SEARCH.text.trim() ? ` matching \"${escapeHtml(TXN_SEARCH.text.trim())}\"` : "";
+    el.innerHTML = `Showing <span class="badge">${count}</span> transactions for <strong>${friendlyMonthOrAll(MONTH_FILTER)}${account}${cat}${search}</strong> · ` +
                    `Debit: <strong>$${debit.toFixed(2)}</strong> · ` +
                    `Credit: <strong>$${credit.toFixed(2)}</strong> · ` +
                    `Net: <strong>$${net.toFixed(2)}</strong>`;
   }
 }
 
+// --- Background worker
+// Large files are parsed, and large histories categorised, in worker.js so the page keeps responding.
+// Small jobs – and pages opened from file://, where browsers refuse workers – stay on the main thread.
+const WORKER_MIN_TXNS = 5000;         // categorise in the worker from this many transactions
+const WORKER_MIN_BYTES = 512 * 1024;  // parse files at least this big in the worker
+let WORKER = null;
+let WORKER_BROKEN = false;
+let WORKER_JOB_ID = 0;
+const WORKER_JOBS = new Map();        // id -> { resolve, reject, label }
+let WORKER_TXNS = null;               // the CURRENT_TXNS array the worker holds a copy of
+let CATEGORISE_RUN = 0;               // latest recalculation; older worker results are dropped
+
+function getWorker() {
+  if (WORKER || WORKER_BROKEN || typeof Worker === 'undefined' || location.protocol === 'file:') return WORKER;
+  try { WORKER = new Worker('worker.js'); }
+  catch { WORKER_BROKEN = true; return null; }
+  WORKER.onmessage = (e) => {
+    const msg = e.data;
+    const job = WORKER_JOBS.get(msg.id);
+    if (!job) return;
+    if (msg.type === 'progress') { showWorkProgress(job.label, msg.done, msg.total); return; }
+    WORKER_JOBS.delete(msg.id);
+    if (!WORKER_JOBS.size) showWorkProgress(null);
+    if (msg.type === 'error') job.reject(new Error(msg.message));
+    else job.resolve(msg.result);
+  };
+  // Failed to load (or crashed): everything runs on the main thread from now on
+  WORKER.onerror = (e) => {
+    e.preventDefault();
+    WORKER.terminate();
+    WORKER = null; WORKER_BROKEN = true; WORKER_TXNS = null;
+    for (const job of WORKER_JOBS.values()) job.reject(new Error('Background worker unavailable'));
+    WORKER_JOBS.clear();
+    showWorkProgress(null);
+  };
+  return WORKER;
+}
+
+function runInWorker(type, data, label) {
+  const id = ++WORKER_JOB_ID;
+  return new Promise((resolve, reject) => {
+    WORKER_JOBS.set(id, { resolve, reject, label });
+    showWorkProgress(label);
+    WORKER.postMessage({ id, type, ...data });
+  });
+}
+
+// label null hides the indicator; without a total the bar just shows that something is running
+function showWorkProgress(label, done = 0, total = 0) {
+  const el = document.getElementById('workProgress');
+  if (!el) return;
+  el.hidden = !label;
+  if (!label) return;
+  const bar = el.querySelector('progress');
+  if (total) { bar.max = total; bar.value = done; } else bar.removeAttribute('value');
+  el.querySelector('.work-label').textContent = total ? `${label} ${done.toLocaleString()} of ${total.toLocaleString()}` : `${label}…`;
+}
+
+// Resolves to parseStatement's result, or null to parse on the main thread instead
+async function parseInWorker(text, fileName, profileId) {
+  if (text.length < WORKER_MIN_BYTES || !getWorker()) return null;
+  const profile = profileId ? findProfile(profileId) : null;
+  try { return await runInWorker('parse', { text, fileName, profile, profiles: allProfiles() }, `Reading ${fileName}`); }
+  catch { return null; }
+}
+
+// The worker keeps its own copy of the transactions (only what rules look at) and sends back one
+// category per transaction; manual edits are applied here, as categorise's afterEach would.
+async function categoriseInWorker() {
+  const run = ++CATEGORISE_RUN;
+  const txns = CURRENT_TXNS;
+  try {
+    if (WORKER_TXNS !== txns) {
+      WORKER_TXNS = txns;
+      const copy = txns.map(({ date, day, dateFormat, amount, description }) => ({ date, day, dateFormat, amount, description }));
+      await runInWorker('load', { txns: copy }, 'Preparing transactions');
+    }
+    const categories = await runInWorker('categorise', { rulesText: document.getElementById('rulesBox').value }, 'Categorising');
+    if (run !== CATEGORISE_RUN || txns !== CURRENT_TXNS) return;
+    txns.forEach((t, i) => { t.category = categories[i]; applyTxnEdit(t); });
+  } catch {
+    WORKER_TXNS = null;
+    if (run !== CATEGORISE_RUN) return;
+    categorise(CURRENT_TXNS, CURRENT_RULES, applyTxnEdit);
+  }
+  renderCategorised();
+}
+
 function applyRulesAndRender({keepPage = false} = {}) { if (!keepPage) CURRENT_PAGE = 1;
   CURRENT_RULES = parseRules(document.getElementById('rulesBox').value);
-  try { localStorage.setItem(LS_KEYS.RULES, document.getElementById('rulesBox').value); } catch {}
+  CATEGORY_TYPES = parseCategoryTypes(document.getElementById('rulesBox').value);
+  BUDGETS = parseBudgets(document.getElementById('rulesBox').value);
+  storeSet(STORE_KEYS.RULES, document.getElementById('rulesBox').value);
+  if (CURRENT_TXNS.length >= WORKER_MIN_TXNS && getWorker()) { categoriseInWorker(); return; }
+  CATEGORISE_RUN++; // drop any worker result still on its way
+  categorise(CURRENT_TXNS, CURRENT_RULES, applyTxnEdit);
+  renderCategorised();
+}
+
+function renderCategorised() {
+  matchTransfers(CURRENT_TXNS, CATEGORY_TYPES);
   const txns = monthFilteredTxns();
-  categorise(txns, CURRENT_RULES);
   renderMonthTotals();
   renderCategoryTotals(txns);
+  renderTrends();
+  renderRecurring();
+  renderUnusual();
+  renderRuleSuggestions();
+  renderRuleDiagnostics();
   renderTransactionsTable(txns);
-  saveTxnsToLocalStorage();
   try { updateMonthBanner(); } catch {}
 }
 
@@ -275,7 +1512,7 @@ function renderTotalsBar(txns) {
 
 function exportTotalsold() {
   const txns = monthFilteredTxns();
-  const { rows, grand } = computeCategoryTotals(txns);
+  const { rows, grand } = computeCategoryTotals(txns, CATEGORY_TYPES);
   // Always use a friendly label like "August 2025" for both header and filename
   const labelFriendly = friendlyMonthOrAll(MONTH_FILTER || getFirstTxnMonth(txns) || new Date().toISOString().slice(0,10));
   const header = `SpendLite Category Totals (${labelFriendly})`;
@@ -294,56 +1531,164 @@ function exportTotalsold() {
   a.click();
   a.remove();
 }
-function exportTotals() {
-  const txns = monthFilteredTxns();
-  const { rows, grand } = computeCategoryTotals(txns);
-
-  const label = friendlyMonthOrAll(MONTH_FILTER || getFirstTxnMonth(txns) || new Date());
-  const header = `SpendLite Category Totals (${label})`;
-
-  // dynamic widths for neat alignment
-  const catWidth = Math.max(8, ...rows.map(([cat]) => toTitleCase(cat).length), 'Category'.length);
-  const amtWidth = 12;
-  const pctWidth = 6;
-
-  const lines = [];
-  lines.push(header);
-  lines.push('='.repeat(header.length));
-  lines.push(
-    'Category'.padEnd(catWidth) + ' ' +
-    'Amount'.padStart(amtWidth) + ' ' +
-    '%'.padStart(pctWidth)
-  );
-
-  for (const [cat, total] of rows) {
-    const pct = grand ? (total / grand * 100) : 0;
-    lines.push(
-      toTitleCase(cat).padEnd(catWidth) + ' ' +
-      total.toFixed(2).padStart(amtWidth) + ' ' +
-      (pct.toFixed(1) + '%').padStart(pctWidth)
-    );
-  }
-
-  lines.push('');
-  lines.push(
-    'TOTAL'.padEnd(catWidth) + ' ' +
-    grand.toFixed(2).padStart(amtWidth) + ' ' +
-    '100%'.padStart(pctWidth)
-  );
-
-  const blob = new Blob([lines.join('\n')], { type: 'text/plain' });
+// --- Exports
+// Every export covers the selected period and, when set, the category filter (a parent includes its children).
+const EXPORT_FORMATS = {
+  txt: { ext: 'txt', mime: 'text/plain' },
+  csv: { ext: 'csv', mime: 'text/csv' },
+  json: { ext: 'json', mime: 'application/json' },
+  md: { ext: 'md', mime: 'text/markdown' },
+};
+let EXPORT_FORMAT = 'txt';
+
+function downloadText(text, filename, mime = 'text/plain') {
+  const blob = new Blob([text], { type: mime });
   const a = document.createElement('a');
   a.href = URL.createObjectURL(blob);
-  a.download = `category_totals_${forFilename(label)}.txt`;
+  a.download = filename;
   document.body.appendChild(a);
   a.click();
   a.remove();
 }
 
+function mdCell(v) { return (v == null ? '' : String(v)).replace(/\|/g, '\\|').replace(/\r?\n/g, ' '); }
+function toMarkdownTable(header, rows, numeric = []) {
+  const align = header.map((_, i) => numeric.includes(i) ? '---:' : '---');
+  return [header, align, ...rows].map(r => `| ${r.map(mdCell).join(' | ')} |`).join('\n');
+}
+const money2 = (v) => v == null ? '' : Number(v).toFixed(2);
+
+function exportLabel() {
+  const period = friendlyMonthOrAll(MONTH_FILTER);
+  return [period, ACCOUNT_FILTER, CURRENT_FILTER && toTitleCase(CURRENT_FILTER)].filter(Boolean).join(' – ');
+}
+
+// Rows and totals behind every category totals export (built by totalsModel in core.js)
+function totalsExportModel() {
+  const txns = monthFilteredTxns();
+  return totalsModel(txns, {
+    types: CATEGORY_TYPES, budgets: BUDGETS, months: budgetMonths(txns), label: exportLabel(),
+    filter: CURRENT_FILTER || '', rollup: TOTALS_VIEW === 'rollup',
+  });
+}
+
+function totalsTableRows(m) {
+  const rows = [];
+  for (const r of m.spending.rows) rows.push(['Spending', toTitleCase(r.cat), money2(r.total), r.pct.toFixed(1), money2(r.budget), money2(r.remaining)]);
+  rows.push(['Spending', 'TOTAL', money2(m.spending.total), '100.0', money2(m.spending.budget), money2(m.spending.remaining)]);
+  for (const r of m.income.rows) rows.push(['Income', toTitleCase(r.cat), money2(r.total), r.pct.toFixed(1), '', '']);
+  if (m.income.rows.length) rows.push(['Income', 'TOTAL', money2(m.income.total), '100.0', '', '']);
+  rows.push(['Net', 'NET', money2(m.net), '', '', '']);
+  return rows;
+}
+const TOTALS_HEADER = ['Section', 'Category', 'Amount', 'Percent', 'Budget', 'Remaining'];
+
+function formatTotals(m, format) {
+  if (format === 'csv') return toCsv(TOTALS_HEADER, totalsTableRows(m));
+  if (format === 'md') {
+    let md = `## SpendLite Category Totals (${mdCell(m.label)})\n\n` + toMarkdownTable(TOTALS_HEADER, totalsTableRows(m), [2, 3, 4, 5]);
+    if (m.transfers.count) md += `\n\n_${m.transfers.count} transfers excluded (net ${m.transfers.total.toFixed(2)})._`;
+    return md + '\n';
+  }
+  if (format === 'json') return formatTotalsJson(m, { periodKey: MONTH_FILTER || null, categoryFilter: CURRENT_FILTER || null });
+  return formatTotalsText(m);
+}
+
+function exportTotals() {
+  const m = totalsExportModel();
+  const fmt = EXPORT_FORMATS[EXPORT_FORMAT] || EXPORT_FORMATS.txt;
+  downloadText(formatTotals(m, EXPORT_FORMAT), `category_totals_${forFilename(m.label)}.${fmt.ext}`, fmt.mime);
+}
+
+// Transactions export: the filtered list shown in the table (period, category and search), in file order
+const TXN_EXPORT_HEADER = ['Date', 'Month', 'Amount', 'Category', 'Description', 'Note', 'Splits', 'Account'];
+function txnExportRows(txns) {
+  return txns.map(t => {
+    const splits = t.splits ? txnParts(t).map(p => `${p.category} ${p.amount.toFixed(2)}`).join('; ') : '';
+    return [t.date, txnMonth(t), money2(t.amount), (t.category || 'UNCATEGORISED').toUpperCase(), t.description || '', t.note || '', splits, txnAccount(t)];
+  });
+}
+
+function formatTransactions(txns, label, format) {
+  const rows = txnExportRows(txns);
+  if (format === 'csv') return toCsv(TXN_EXPORT_HEADER, rows);
+  if (format === 'md') return `## SpendLite Transactions (${mdCell(label)})\n\n` + toMarkdownTable(TXN_EXPORT_HEADER, rows, [2]) + '\n';
+  if (format === 'json') {
+    return JSON.stringify({
+      period: label, periodKey: MONTH_FILTER || null, categoryFilter: CURRENT_FILTER || null, account: ACCOUNT_FILTER || null,
+      transactions: txns.map((t, i) => ({
+        date: t.date, month: rows[i][1] || null, amount: +Number(t.amount).toFixed(2), category: rows[i][3], description: t.description || '', account: txnAccount(t),
+        ...(t.transfer ? { transfer: true } : {}),
+        ...(t.note ? { note: t.note } : {}),
+        ...(t.splits ? { splits: txnParts(t).map(p => ({ category: p.category, amount: +p.amount.toFixed(2) })) } : {}),
+      })),
+    }, null, 2);
+  }
+  // txt: tab separated, pastes straight into a spreadsheet
+  return [TXN_EXPORT_HEADER, ...rows].map(r => r.map(v => String(v).replace(/[\t\r\n]+/g, ' ')).join('\t')).join('\n');
+}
+
+function exportTransactions() {
+  const txns = getFilteredTxns(monthFilteredTxns());
+  const label = exportLabel();
+  const fmt = EXPORT_FORMATS[EXPORT_FORMAT] || EXPORT_FORMATS.txt;
+  downloadText(formatTransactions(txns, label, EXPORT_FORMAT), `transactions_${forFilename(label)}.${fmt.ext}`, fmt.mime);
+}
 
+
+// Category filter plus the transaction search box / amount range
 function getFilteredTxns(txns) {
-  if (!CURRENT_FILTER) return txns;
-  return txns.filter(t => (t.category || 'UNCATEGORISED').toUpperCase() === CURRENT_FILTER);
+  const text = TXN_SEARCH.text.trim().toLowerCase();
+  const { min, max } = TXN_SEARCH;
+  if (!CURRENT_FILTER && !text && min == null && max == null) return txns;
+  return txns.filter(t => {
+    if (CURRENT_FILTER && !txnParts(t).some(p => categoryMatchesFilter(p.category, CURRENT_FILTER))) return false;
+    if (text && !String(t.description || '').toLowerCase().includes(text)) return false;
+    const amt = Number(t.amount) || 0;
+    if (min != null && amt < min) return false;
+    if (max != null && amt > max) return false;
+    return true;
+  });
+}
+
+const TXN_SORTERS = {
+  date: (a, b) => (a.day < b.day ? -1 : a.day > b.day ? 1 : 0),
+  amount: (a, b) => (Number(a.amount) || 0) - (Number(b.amount) || 0),
+  category: (a, b) => String(a.category || '').localeCompare(String(b.category || '')),
+  description: (a, b) => String(a.description || '').localeCompare(String(b.description || ''), undefined, { sensitivity: 'base' }),
+};
+
+function sortTxns(txns) {
+  const cmp = TXN_SORTERS[TXN_SORT.key];
+  if (!cmp) return txns;
+  return txns.slice().sort((a, b) => cmp(a, b) * TXN_SORT.dir);
+}
+
+// Click once to sort ascending, again for descending, a third time for file order
+function toggleSort(key) {
+  if (TXN_SORT.key !== key) TXN_SORT = { key, dir: 1 };
+  else if (TXN_SORT.dir === 1) TXN_SORT = { key, dir: -1 };
+  else TXN_SORT = { key: '', dir: 1 };
+  storeSet(STORE_KEYS.SORT, TXN_SORT);
+  CURRENT_PAGE = 1;
+  renderTransactionsTable();
+}
+
+function readSearchInputs() {
+  const num = (id) => { const v = document.getElementById(id).value.trim(); return v === '' ? null : Number(v); };
+  TXN_SEARCH = { text: document.getElementById('txnSearch').value, min: num('amountMin'), max: num('amountMax') };
+  CURRENT_PAGE = 1;
+  renderTransactionsTable();
+  renderMonthTotals();
+}
+
+function setPageSize(size) {
+  PAGE_SIZE = PAGE_SIZES.includes(size) ? size : 10;
+  storeSet(STORE_KEYS.PAGE_SIZE, PAGE_SIZE);
+  const sel = document.getElementById('pageSize');
+  if (sel) sel.value = String(PAGE_SIZE);
+  CURRENT_PAGE = 1;
+  renderTransactionsTable();
 }
 
 function updateFilterUI() {
@@ -360,26 +1705,38 @@ function updateMonthBanner() {
 }
 
 function renderTransactionsTable(txns = monthFilteredTxns()) {
-  const filtered = getFilteredTxns(txns);
-  const totalPages = Math.max(1, Math.ceil(filtered.length / PAGE_SIZE));
+  const filtered = sortTxns(getFilteredTxns(txns));
+  const size = PAGE_SIZE || Math.max(1, filtered.length);
+  const totalPages = Math.max(1, Math.ceil(filtered.length / size));
   if (CURRENT_PAGE > totalPages) CURRENT_PAGE = totalPages;
   if (CURRENT_PAGE < 1) CURRENT_PAGE = 1;
-  const start = (CURRENT_PAGE - 1) * PAGE_SIZE;
-  const pageItems = filtered.slice(start, start + PAGE_SIZE);
+  const start = (CURRENT_PAGE - 1) * size;
+  const pageItems = filtered.slice(start, start + size);
   const table = document.getElementById('transactionsTable');
-  let html = '<tr><th>Date</th><th>Amount</th><th>Category</th><th>Description</th><th></th></tr>';
+  const th = (key, label) => {
+    const arrow = TXN_SORT.key === key ? (TXN_SORT.dir === 1 ? ' ▲' : ' ▼') : '';
+    return `<th class="sortable${arrow ? ' sorted' : ''}" data-sort="${key}">${label}${arrow}</th>`;
+  };
+  const showAccount = accountNames().length > 1 && !ACCOUNT_FILTER;
+  let html = `<tr>${th('date', 'Date')}${th('amount', 'Amount')}${th('category', 'Category')}${th('description', 'Description')}${showAccount ? '<th>Account</th>' : ''}<th></th></tr>`;
   pageItems.forEach((t) => {
-    const idx = CURRENT_TXNS.indexOf(t);
     const cat = (t.category || 'UNCATEGORISED').toUpperCase(); const displayCat = toTitleCase(cat);
-    html += `<tr>
+    const badge = t.splits ? '<span class="edit-badge" title="Split across categories">split</span>'
+                : t.overridden ? '<span class="edit-badge" title="Category set by hand">manual</span>'
+                : t.transfer ? `<span class="edit-badge transfer-badge" title="${escapeHtml(`Matched with ${t.transferWith.date} in ${txnAccount(t.transferWith)} – left out of the totals`)}">transfer</span>` : '';
+    const note = t.note ? `<div class="txn-note">${escapeHtml(t.note)}</div>` : '';
+    html += `<tr class="${t.overridden || t.splits ? 'overridden' : ''}">
       <td>${escapeHtml(t.date)}</td>
       <td>${t.amount.toFixed(2)}</td>
-      <td><span class=\"category-name\">${escapeHtml(displayCat)}</span></td>
-      <td>${escapeHtml(t.description)}</td>
-      <td><button class="rule-btn" onclick="assignCategory(${idx})">+</button></td>
+      <td><span class=\"category-name\">${escapeHtml(displayCat)}</span>${badge}</td>
+      <td>${escapeHtml(t.description)}${note}</td>${showAccount ? `<td>${escapeHtml(txnAccount(t))}</td>` : ''}
+      <td class="row-actions"><button class="rule-btn" onclick="assignCategory(${t.id})" title="Add a rule for this merchant">+</button><button class="rule-btn secondary" onclick="editTxn(${t.id})" title="Override category, add a note or split">✎</button></td>
     </tr>`;
+    if (EDITING_ID != null && t.id === EDITING_ID) html += renderTxnEditor(t, showAccount ? 6 : 5);
   });
   table.innerHTML = html;
+  table.querySelectorAll('th.sortable').forEach(h => h.addEventListener('click', () => toggleSort(h.getAttribute('data-sort'))));
+  bindTxnEditor(table);
   renderPager(totalPages);
 }
 
@@ -395,39 +1752,24 @@ function nextWordAfter(marker, desc) {
 }
 
 
-function assignCategory(idx) {
-  const txn = CURRENT_TXNS[idx];
-  if (!txn) return;
-  const desc = txn.description || "";
+// Merchant keyword for a description: the word after PAYPAL or VISA-, else the first word
+function suggestKeyword(desc) {
+  desc = String(desc || '');
   const up = desc.toUpperCase();
-
-  // Build a suggested keyword
-  let suggestedKeyword = "";
   if (/\bPAYPAL\b/.test(up)) {
     const nxt = nextWordAfter('paypal', desc);
-    suggestedKeyword = ('PAYPAL' + (nxt ? ' ' + nxt : '')).toUpperCase();
-  } else {
-    const visaPos = up.indexOf("VISA-");
-    if (visaPos !== -1) {
-      const after = desc.substring(visaPos + 5).trim();
-      suggestedKeyword = (after.split(/\s+/)[0] || "").toUpperCase();
-    } else {
-      suggestedKeyword = (desc.split(/\s+/)[0] || "").toUpperCase();
-    }
+    return ('PAYPAL' + (nxt ? ' ' + nxt : '')).toUpperCase();
   }
+  const visaPos = up.indexOf("VISA-");
+  if (visaPos !== -1) {
+    const after = desc.substring(visaPos + 5).trim();
+    return (after.split(/\s+/)[0] || "").toUpperCase();
+  }
+  return (desc.trim().split(/\s+/)[0] || "").toUpperCase();
+}
 
-  // Let user confirm/edit keyword
-  const keywordInput = prompt("Enter keyword to match:", suggestedKeyword);
-  if (!keywordInput) return;
-  const keyword = keywordInput.trim().toUpperCase();
-
-  // Let user choose/add category (no automation)
-  const defaultCat = (txn.category || "UNCATEGORISED").toUpperCase();
-  const catInput = prompt("Enter category name:", defaultCat);
-  if (!catInput) return;
-  const category = catInput.trim().toUpperCase();
-
-  // Upsert into rulesBox
+// Replace the plain KEYWORD => CATEGORY line for a keyword, or append one
+function upsertRuleLine(keyword, category) {
   const box = document.getElementById('rulesBox');
   const lines = String(box.value || "").split(/\r?\n/);
   let updated = false;
@@ -446,10 +1788,636 @@ function assignCategory(idx) {
   }
   if (!updated) lines.push(`${keyword} => ${category}`);
   box.value = lines.join("\n");
-  try { localStorage.setItem(LS_KEYS.RULES, box.value); } catch {}
-  if (typeof applyRulesAndRender === 'function') applyRulesAndRender({keepPage: true});
+  storeSet(STORE_KEYS.RULES, box.value);
+}
+
+function assignCategory(id) {
+  const txn = txnById(id);
+  if (!txn) return;
+  openRuleDialog(suggestKeyword(txn.description), txn.category && txn.category !== 'UNCATEGORISED' ? txn.category : '', txn);
+}
+
+
+// --- Rule diagnostics
+// Hit counts come from the loaded transactions; "never fires" is decided from the rules alone.
+
+// True when every description matching keyword `specific` also matches keyword `general` (see matchesKeyword)
+function keywordImplies(general, specific) {
+  const g = String(general).split(/\s+/).filter(Boolean);
+  const sp = String(specific).split(/\s+/).filter(Boolean);
+  let j = 0, from = 0;
+  for (const p of g) {
+    while (j < sp.length) {
+      const i = sp[j].indexOf(p, from);
+      if (i !== -1) { from = i + p.length; break; }
+      j++; from = 0;
+    }
+    if (j >= sp.length) return false;
+  }
+  return true;
+}
+
+// True when rule `a` matches everything rule `b` can match, so `b` never fires if `a` is checked first
+function ruleCovers(a, b) {
+  if ((a.fromCategory || '') !== (b.fromCategory || '')) return false;
+  if (a.keyword && !(b.keyword && keywordImplies(a.keyword, b.keyword))) return false;
+  if (a.type && a.type !== b.type) return false;
+  const within = (xs, ys, key) => (xs || []).every(x => (ys || []).some(y => key(x) === key(y)));
+  return within(a.regexes, b.regexes, String) && within(a.not, b.not, String) &&
+    within(a.amount, b.amount, c => c.op + c.value) && within(a.dates, b.dates, c => c.op + c.value);
+}
+
+function ruleDiagnostics(rules, txns) {
+  const stats = new Map(rules.map(r => [r, { hits: 0, total: 0, matches: 0 }]));
+  const index = ruleIndex(rules);
+  for (const t of txns) {
+    const descLower = String(t.description || '').toLowerCase();
+    const amount = Number(t.amount) || 0;
+    let won = null;
+    for (const r of ruleCandidates(index.base, descLower)) {
+      // Past the winner only rules not yet seen matching anything are worth checking
+      if (won && stats.get(r).matches) continue;
+      if (!ruleMatches(r, t, descLower)) continue;
+      stats.get(r).matches++;
+      if (!won) won = r;
+    }
+    if (!won) continue;
+    const refined = ruleCandidates(index.refine.get(won.category), descLower).find(r => ruleMatches(r, t, descLower));
+    for (const r of refined ? [won, refined] : [won]) { const st = stats.get(r); st.hits++; st.total += amount; }
+    if (refined) stats.get(refined).matches++;
+  }
+
+  // A rule can only be covered by one whose keyword occurs inside its own, which the index finds
+  const order = new Map(rules.map((r, i) => [r, i]));
+  const neverFires = [];
+  rules.forEach((r, i) => {
+    const group = r.fromCategory ? index.refine.get(r.fromCategory) : index.base;
+    const by = ruleCandidates(group, r.keyword || '').find(a => order.get(a) < i && ruleCovers(a, r));
+    if (by) neverFires.push({ rule: r, by });
+  });
+
+  const byKeyword = new Map();
+  for (const r of rules) {
+    if (!r.keyword) continue;
+    const k = r.keyword + (r.fromCategory ? ` category:${r.fromCategory}` : '');
+    (byKeyword.get(k) || byKeyword.set(k, []).get(k)).push(r);
+  }
+  const duplicates = [...byKeyword].filter(([, rs]) => rs.length > 1)
+    .map(([keyword, rs]) => ({ keyword, rules: rs.slice().sort((a, b) => a.line - b.line) }));
+
+  return { stats, neverFires, duplicates, errors: rules.errors || [] };
+}
+
+function selectRuleLine(line) {
+  const box = document.getElementById('rulesBox');
+  const lines = box.value.split('\n');
+  const start = lines.slice(0, line - 1).reduce((n, l) => n + l.length + 1, 0);
+  box.focus();
+  box.setSelectionRange(start, start + (lines[line - 1] || '').length);
+}
+
+function renderRuleDiagnostics() {
+  const el = document.getElementById('ruleDiagnostics');
+  const details = document.getElementById('ruleDiagDetails');
+  if (!el || (details && !details.open)) return;
+  const diag = ruleDiagnostics(CURRENT_RULES, CURRENT_TXNS);
+
+  const lines = document.getElementById('rulesBox').value.split(/\r?\n/);
+  const lineLink = (n) => `<a class="rule-line" data-line="${n}">line ${n}</a>`;
+  const ruleText = (r) => `<code>${escapeHtml((lines[r.line - 1] || '').trim())}</code>`;
+  let html = '';
+  if (diag.errors.length) {
+    html += '<h4>Ignored lines</h4><ul>' + diag.errors.map(e =>
+      `<li>${lineLink(e.line)}: <code>${escapeHtml(e.text)}</code> – ${escapeHtml(e.reason)}</li>`).join('') + '</ul>';
+  }
+  if (diag.neverFires.length) {
+    html += '<h4>Rules that can never fire</h4><ul>' + diag.neverFires.map(({ rule, by }) =>
+      `<li>${lineLink(rule.line)} ${ruleText(rule)} – ${lineLink(by.line)} ${ruleText(by)} always matches first</li>`).join('') + '</ul>';
+  }
+  if (diag.duplicates.length) {
+    html += '<h4>Duplicate keywords</h4><ul>' + diag.duplicates.map(d => {
+      const cats = new Set(d.rules.map(r => r.category));
+      return `<li><code>${escapeHtml(d.keyword.toUpperCase())}</code> on ${d.rules.map(r => lineLink(r.line)).join(', ')}` +
+        (cats.size > 1 ? ` – different categories (${[...cats].map(c => escapeHtml(toTitleCase(c))).join(', ')})` : '') + '</li>';
+    }).join('') + '</ul>';
+  }
+  if (!diag.errors.length && !diag.neverFires.length && !diag.duplicates.length) html += '<p class="muted">No problems found in the rules.</p>';
+
+  const rules = CURRENT_RULES.slice().sort((a, b) => a.line - b.line);
+  const unused = rules.filter(r => !diag.stats.get(r).hits).length;
+  if (rules.length) {
+    html += `<h4>Matches in the loaded transactions${CURRENT_TXNS.length && unused ? ` <span class="muted">(${unused} unused)</span>` : ''}</h4>`;
+    html += '<div class="table-scroll"><table class="zebra rule-hits"><thead><tr><th>Line</th><th>Rule</th><th class="num">Transactions</th><th class="num">Amount</th></tr></thead><tbody>' +
+      rules.map(r => {
+        const st = diag.stats.get(r);
+        const note = st.hits ? '' : st.matches ? ' <span class="tag">shadowed</span>' : ' <span class="tag">unused</span>';
+        return `<tr class="${st.hits ? '' : 'unused'}"><td>${lineLink(r.line)}</td><td>${ruleText(r)}${note}</td>` +
+          `<td class="num">${st.hits}</td><td class="num">${st.total.toFixed(2)}</td></tr>`;
+      }).join('') + '</tbody></table></div>';
+    if (!CURRENT_TXNS.length) html += '<p class="muted">Load transactions to see which rules match.</p>';
+  }
+  el.innerHTML = html;
+  el.querySelectorAll('a.rule-line').forEach(a => a.addEventListener('click', () => selectRuleLine(Number(a.getAttribute('data-line')))));
+}
+
+
+// --- Rule editor dialog
+// Previews what a new rule would catch given "first match wins", and where it goes in the list.
+const RULE_PREVIEW_MAX = 20;
+let RULE_DIALOG = null;  // { source: txn or null }
+
+// Rules in the box in text order, for the position picker
+function ruleLinesInOrder(text) {
+  return parseRules(text).slice().sort((a, b) => a.line - b.line);
+}
+
+// Where a plain "KEYWORD => ..." line for this keyword already exists (0 if none)
+function existingRuleLine(text, keyword) {
+  const lines = String(text || '').split(/\r?\n/);
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i].trim();
+    if (!line || line.startsWith('#')) continue;
+    const parts = line.split(/=>/i);
+    if (parts.length >= 2 && parts[0].trim().toUpperCase() === keyword) return i + 1;
+  }
+  return 0;
+}
+
+// position: 'end' | 'top' | 'before:N' | 'replace:N' (N = 1-based line). Returns the new text and the rule's line.
+function insertRuleAt(text, ruleText, position) {
+  const lines = String(text || '').trim() ? String(text).split(/\r?\n/) : [];
+  const [where, n] = String(position).split(':');
+  let at;
+  if (where === 'replace' && lines[n - 1] != null) { lines[n - 1] = ruleText; return { text: lines.join('\n'), line: Number(n) }; }
+  if (where === 'before' && lines[n - 1] != null) at = n - 1;
+  else if (where === 'top') { const first = ruleLinesInOrder(text)[0]; at = first ? first.line - 1 : lines.length; }
+  else { at = lines.length; while (at > 0 && !lines[at - 1].trim()) at--; }
+  lines.splice(at, 0, ruleText);
+  return { text: lines.join('\n'), line: at + 1 };
+}
+
+// What the rule would catch if saved at `position`: caught (it wins), shadowed (an earlier rule wins) and manual overrides
+function previewRule(conditions, category, position) {
+  const candidate = { keyword: '', category, priority: 0 };
+  const err = parseRuleTokens(conditions, candidate);
+  if (err) return { error: err };
+  if (!conditions.trim()) return { error: 'enter a keyword or condition' };
+  const text = document.getElementById('rulesBox').value;
+  const placed = insertRuleAt(text, `${conditions} => ${category || 'X'}`, position);
+  const rules = parseRules(placed.text);
+  const base = rules.filter(r => !r.fromCategory);
+  const pool = candidate.fromCategory ? rules.filter(r => r.fromCategory === candidate.fromCategory) : base;
+  const caught = [], shadowed = [], manual = [];
+  for (const t of CURRENT_TXNS) {
+    const descLower = String(t.description || '').toLowerCase();
+    if (!ruleMatches(candidate, t, descLower)) continue;
+    if (candidate.fromCategory) {
+      const b = base.find(r => ruleMatches(r, t, descLower));
+      if (!b || b.category !== candidate.fromCategory) continue;
+    }
+    const winner = pool.find(r => ruleMatches(r, t, descLower));
+    if (t.overridden) manual.push(t);
+    else if (winner && winner.line !== placed.line) shadowed.push({ t, winner });
+    else caught.push(t);
+  }
+  return { caught, shadowed, manual, line: placed.line };
+}
+
+function openRuleDialog(keyword, category, source = null) {
+  RULE_DIALOG = { source };
+  const text = document.getElementById('rulesBox').value;
+  document.getElementById('ruleKeyword').value = keyword || '';
+  document.getElementById('ruleCategory').value = category || '';
+  document.getElementById('ruleCategoryList').innerHTML = knownCategories().filter(c => c !== 'UNCATEGORISED')
+    .map(c => `<option value="${escapeHtml(c)}">`).join('');
+  document.getElementById('ruleDialogSource').textContent = source ? `From: ${source.date} · ${source.description} · ${Number(source.amount).toFixed(2)}` : '';
+  rebuildRulePositions(text, existingRuleLine(text, String(keyword || '').toUpperCase()));
+  document.getElementById('ruleDialog').hidden = false;
+  updateRulePreview();
+  document.getElementById('ruleKeyword').focus();
+}
+
+function rebuildRulePositions(text, replaceLine) {
+  const sel = document.getElementById('rulePosition');
+  const lines = String(text || '').split(/\r?\n/);
+  let html = '<option value="end">At the end (checked last)</option><option value="top">At the top (checked first)</option>';
+  if (replaceLine) html += `<option value="replace:${replaceLine}">Replace line ${replaceLine}: ${escapeHtml(lines[replaceLine - 1].trim())}</option>`;
+  html += ruleLinesInOrder(text).map(r => `<option value="before:${r.line}">Before line ${r.line}: ${escapeHtml(lines[r.line - 1].trim())}</option>`).join('');
+  sel.innerHTML = html;
+  sel.value = replaceLine ? `replace:${replaceLine}` : 'end';
+}
+
+function closeRuleDialog() {
+  RULE_DIALOG = null;
+  document.getElementById('ruleDialog').hidden = true;
 }
 
+function updateRulePreview() {
+  const el = document.getElementById('rulePreview');
+  const conditions = document.getElementById('ruleKeyword').value.trim();
+  const category = document.getElementById('ruleCategory').value.trim().toUpperCase();
+  const p = previewRule(conditions, category, document.getElementById('rulePosition').value);
+  document.getElementById('ruleSaveBtn').disabled = !!p.error || !category;
+  if (p.error) { el.innerHTML = `<p class="rule-preview-error">Can't use this rule: ${escapeHtml(p.error)}.</p>`; return; }
+
+  const total = p.caught.length + p.shadowed.length + p.manual.length;
+  let html = `<p>Matches <strong>${total}</strong> transaction${total === 1 ? '' : 's'}` +
+    (total ? ` · <strong>${p.caught.length}</strong> would get this rule's category` : '') + '.</p>';
+  if (p.shadowed.length) {
+    const byRule = new Map();
+    for (const { winner } of p.shadowed) byRule.set(winner, (byRule.get(winner) || 0) + 1);
+    const lines = document.getElementById('rulesBox').value.split(/\r?\n/);
+    html += '<p class="rule-preview-warn">An earlier rule wins for some of them (first match wins):</p><ul class="rule-shadows">' +
+      [...byRule].map(([r, n]) => `<li><code>${escapeHtml(lines[r.line - 1].trim())}</code> (line ${r.line}) takes ${n}` +
+        (r.priority ? '' : ` <button class="rule-btn secondary" data-before="${r.line}">Insert above it</button>`) + '</li>').join('') + '</ul>';
+  }
+  if (p.manual.length) html += `<p class="muted">${p.manual.length} keep their manual category.</p>`;
+  const rows = [
+    ...p.caught.map(t => ({ t, status: '→ ' + toTitleCase(category || '?') })),
+    ...p.shadowed.map(({ t, winner }) => ({ t, status: `stays ${toTitleCase(winner.category)} (line ${winner.line})`, cls: 'shadowed' })),
+    ...p.manual.map(t => ({ t, status: `stays ${toTitleCase(t.category)} (manual)`, cls: 'shadowed' })),
+  ];
+  if (rows.length) {
+    html += '<div class="table-scroll"><table class="zebra rule-preview-table"><thead><tr><th>Date</th><th>Description</th><th class="num">Amount</th><th>Now</th><th>With this rule</th></tr></thead><tbody>' +
+      rows.slice(0, RULE_PREVIEW_MAX).map(({ t, status, cls }) => `<tr class="${cls || ''}"><td>${escapeHtml(t.date)}</td><td>${escapeHtml(t.description)}</td>` +
+        `<td class="num">${Number(t.amount).toFixed(2)}</td><td>${escapeHtml(toTitleCase(t.category || 'UNCATEGORISED'))}</td><td>${escapeHtml(status)}</td></tr>`).join('') +
+      '</tbody></table></div>';
+    if (rows.length > RULE_PREVIEW_MAX) html += `<p class="muted">…and ${rows.length - RULE_PREVIEW_MAX} more.</p>`;
+  }
+  el.innerHTML = html;
+  el.querySelectorAll('button[data-before]').forEach(btn => btn.addEventListener('click', () => {
+    document.getElementById('rulePosition').value = `before:${btn.getAttribute('data-before')}`;
+    updateRulePreview();
+  }));
+}
+
+function saveRuleFromDialog() {
+  const conditions = document.getElementById('ruleKeyword').value.trim();
+  const category = document.getElementById('ruleCategory').value.trim().toUpperCase();
+  const position = document.getElementById('rulePosition').value;
+  if (!conditions || !category || previewRule(conditions, category, position).error) return;
+  const box = document.getElementById('rulesBox');
+  box.value = insertRuleAt(box.value, `${conditions} => ${category}`, position).text;
+  storeSet(STORE_KEYS.RULES, box.value);
+  closeRuleDialog();
+  applyRulesAndRender({keepPage: true});
+}
+
+
+// --- Rule suggestions: uncategorised transactions grouped by merchant keyword
+const SUGGEST_MAX_GROUPS = 50;
+// Words that say how someone paid rather than who they paid
+const SUGGEST_STOPWORDS = new Set(['paypal', 'visa', 'eftpos', 'pos', 'purchase', 'card', 'debit', 'credit', 'payment', 'direct', 'transfer', 'the', 'and', 'pty', 'ltd']);
+
+function merchantTokens(text) {
+  return normalizeDesc(text).split(' ').filter(w => w.length >= 3 && !SUGGEST_STOPWORDS.has(w) && !/^\d+$/.test(w));
+}
+// Same word, or one is an abbreviation of the other (WOOLIES / WOOLWORTHS)
+function similarToken(a, b) {
+  if (a === b) return true;
+  let n = 0;
+  while (n < a.length && n < b.length && a[n] === b[n]) n++;
+  return n >= 4;
+}
+
+function uncategorisedGroups(txns) {
+  const groups = new Map();
+  for (const t of txns) {
+    if ((t.category || 'UNCATEGORISED') !== 'UNCATEGORISED' || t.overridden) continue;
+    const keyword = suggestKeyword(t.description);
+    if (!keyword) continue;
+    let g = groups.get(keyword);
+    if (!g) groups.set(keyword, g = { keyword, count: 0, total: 0, examples: [] });
+    g.count++;
+    g.total += Number(t.amount) || 0;
+    if (g.examples.length < 3 && !g.examples.includes(t.description)) g.examples.push(t.description);
+  }
+  return [...groups.values()].sort((a, b) => b.count - a.count || Math.abs(b.total) - Math.abs(a.total));
+}
+
+// Merchant words of the categorised transactions, once per distinct category + description:
+// [{ cat, description, words, count }]
+function categorisedMerchants(txns) {
+  const seen = new Map();
+  for (const t of txns) {
+    const cat = t.category || 'UNCATEGORISED';
+    if (cat === 'UNCATEGORISED') continue;
+    const key = `${cat}\n${t.description}`;
+    const m = seen.get(key);
+    if (m) m.count++;
+    else seen.set(key, { cat, description: t.description, words: merchantTokens(t.description), count: 1 });
+  }
+  return [...seen.values()];
+}
+
+// Category for a merchant, voted by rules and categorised transactions with a similar merchant word.
+// `merchants` comes from categorisedMerchants.
+function suggestCategory(keyword, merchants, rules) {
+  const words = merchantTokens(keyword);
+  if (!words.length) return null;
+  const votes = new Map();
+  const vote = (cat, weight, why) => {
+    const v = votes.get(cat) || { cat, score: 0, why };
+    v.score += weight;
+    votes.set(cat, v);
+  };
+  for (const r of rules) {
+    if (!r.keyword || r.fromCategory) continue;
+    if (merchantTokens(r.keyword).some(a => words.some(b => similarToken(a, b)))) vote(r.category, 3, `rule “${r.keyword.toUpperCase()}”`);
+  }
+  for (const m of merchants) {
+    if (m.words.some(a => words.some(b => similarToken(a, b)))) vote(m.cat, m.count, `like “${m.description}”`);
+  }
+  const best = [...votes.values()].sort((a, b) => b.score - a.score)[0];
+  return best || null;
+}
+
+function renderRuleSuggestions() {
+  const el = document.getElementById('ruleSuggestions');
+  const details = document.getElementById('suggestDetails');
+  if (!el || (details && !details.open)) return;
+  const groups = uncategorisedGroups(CURRENT_TXNS);
+  if (!groups.length) {
+    el.innerHTML = `<p class="muted">${CURRENT_TXNS.length ? 'Every transaction has a category.' : 'Load transactions to see suggestions.'}</p>`;
+    return;
+  }
+  const shown = groups.slice(0, SUGGEST_MAX_GROUPS);
+  let html = `<datalist id="suggestCats">${knownCategories().filter(c => c !== 'UNCATEGORISED').map(c => `<option value="${escapeHtml(c)}">`).join('')}</datalist>`;
+  html += '<table class="suggest-table zebra"><thead><tr><th><input type="checkbox" id="suggestAll" aria-label="Select all"></th>' +
+          '<th>Keyword</th><th class="num">Count</th><th class="num">Total</th><th>Category</th><th></th></tr></thead><tbody>';
+  const merchants = categorisedMerchants(CURRENT_TXNS);
+  shown.forEach((g, i) => {
+    const guess = suggestCategory(g.keyword, merchants, CURRENT_RULES);
+    html += `<tr data-i="${i}">
+      <td><input type="checkbox" class="suggest-pick" aria-label="Select ${escapeHtml(g.keyword)}"></td>
+      <td><input type="text" class="suggest-keyword" value="${escapeHtml(g.keyword)}">
+        <div class="muted suggest-examples">${g.examples.map(escapeHtml).join(' · ')}</div></td>
+      <td class="num">${g.count}</td>
+      <td class="num">${g.total.toFixed(2)}</td>
+      <td><input type="text" class="suggest-cat" list="suggestCats" placeholder="Category" value="${guess ? escapeHtml(guess.cat) : ''}">
+        ${guess ? `<div class="muted suggest-why">from ${escapeHtml(guess.why)}</div>` : ''}</td>
+      <td><button class="rule-btn suggest-add">Add rule</button></td>
+    </tr>`;
+  });
+  html += '</tbody></table>';
+  if (groups.length > shown.length) html += `<p class="muted">Showing the ${shown.length} most frequent of ${groups.length} merchants.</p>`;
+  html += '<div class="btn-row"><button id="suggestAddPicked">Add rules for selected merchants</button></div>';
+  el.innerHTML = html;
+
+  const rowRule = (tr) => ({
+    keyword: tr.querySelector('.suggest-keyword').value.trim().toUpperCase(),
+    category: tr.querySelector('.suggest-cat').value.trim().toUpperCase(),
+  });
+  const addRules = (trs) => {
+    const picked = trs.map(rowRule).filter(r => r.keyword && r.category);
+    if (!picked.length) return;
+    for (const r of picked) upsertRuleLine(r.keyword, r.category);
+    applyRulesAndRender({keepPage: true});
+  };
+  el.querySelectorAll('.suggest-add').forEach(btn => btn.addEventListener('click', () => {
+    const tr = btn.closest('tr');
+    if (!rowRule(tr).category) { tr.querySelector('.suggest-cat').focus(); return; }
+    addRules([tr]);
+  }));
+  el.querySelector('#suggestAll').addEventListener('change', (e) => {
+    el.querySelectorAll('.suggest-pick').forEach(cb => { cb.checked = e.target.checked; });
+  });
+  el.querySelector('#suggestAddPicked').addEventListener('click', () => {
+    addRules([...el.querySelectorAll('.suggest-pick:checked')].map(cb => cb.closest('tr')));
+  });
+}
+
+
+// --- Per-transaction edits (category override, note, splits)
+// Stored by each transaction's editKey, so they survive rule changes, date re-reads,
+// re-imports of the same statement and reloads.
+let TXN_EDITS = {};      // key -> { category?, note?, splits?: [{ category, amount }] }
+let EDITING_ID = null;   // id of the transaction whose editor is open
+
+function loadTxnEdits() {
+  TXN_EDITS = storeGet(STORE_KEYS.EDITS, {}) || {};
+}
+
+// Edits saved before they had per-transaction keys were keyed "day|amount|description" (txnKey)
+// and applied to every matching row; give each of those rows its own copy.
+function migrateTxnEdits() {
+  const old = Object.keys(TXN_EDITS).filter(k => k.split('|').length === 3);
+  if (!old.length) return;
+  const byOldKey = new Map();
+  for (const t of CURRENT_TXNS) { const k = txnKey(t); (byOldKey.get(k) || byOldKey.set(k, []).get(k)).push(t); }
+  for (const k of old) {
+    for (const t of byOldKey.get(k) || []) if (!TXN_EDITS[t.editKey]) TXN_EDITS[t.editKey] = TXN_EDITS[k];
+    delete TXN_EDITS[k];
+  }
+  saveTxnEdits();
+}
+function saveTxnEdits() {
+  storeSet(STORE_KEYS.EDITS, TXN_EDITS);
+}
+
+function applyTxnEdit(t) {
+  const edit = TXN_EDITS[t.editKey];
+  delete t.overridden; delete t.note; delete t.splits;
+  if (!edit) return;
+  if (edit.category) { t.category = edit.category; t.overridden = true; }
+  if (edit.note) t.note = edit.note;
+  if (edit.splits && edit.splits.length) t.splits = edit.splits;
+}
+
+function knownCategories() {
+  const cats = new Set(CURRENT_RULES.map(r => r.category));
+  for (const t of CURRENT_TXNS) for (const p of txnParts(t)) cats.add(p.category);
+  cats.add('UNCATEGORISED');
+  return [...cats].sort();
+}
+
+function editTxn(id) {
+  const t = txnById(id);
+  if (!t) return;
+  EDITING_ID = EDITING_ID === t.id ? null : t.id;
+  renderTransactionsTable();
+}
+
+function renderTxnEditor(t, columns) {
+  const edit = TXN_EDITS[t.editKey] || {};
+  const options = knownCategories().map(c => `<option value="${escapeHtml(c)}">`).join('');
+  const splitRow = (sp = { category: '', amount: '' }) => `<div class="split-row">
+      <input class="split-cat" list="txnCategoryList" value="${escapeHtml(sp.category)}" placeholder="Category">
+      <input class="split-amt" type="number" step="0.01" min="0" value="${sp.amount === '' ? '' : Math.abs(sp.amount)}" placeholder="Amount">
+      <button class="secondary small split-remove" type="button">×</button>
+    </div>`;
+  return `<tr class="edit-row"><td colspan="${columns}">
+    <datalist id="txnCategoryList">${options}</datalist>
+    <div class="txn-editor">
+      <label>Category <input class="edit-category" list="txnCategoryList" value="${escapeHtml(edit.category || '')}" placeholder="${escapeHtml(t.category || '')} (from rules)"></label>
+      <label>Note <input class="edit-note" value="${escapeHtml(edit.note || '')}" placeholder="Optional"></label>
+      <div class="splits">
+        <div class="muted">Split off part of ${Math.abs(t.amount).toFixed(2)} into other categories; the rest stays in the category above.</div>
+        <div class="split-rows">${(edit.splits || []).map(splitRow).join('')}</div>
+        <template class="split-row-template">${splitRow()}</template>
+        <button class="secondary small add-split" type="button">+ Add split</button>
+      </div>
+      <div class="btn-row">
+        <button class="small save-edit" type="button">Save</button>
+        <button class="secondary small clear-edit" type="button">Clear edits</button>
+        <button class="secondary small cancel-edit" type="button">Cancel</button>
+        <span class="muted edit-error"></span>
+      </div>
+    </div>
+  </td></tr>`;
+}
+
+function bindTxnEditor(table) {
+  const editor = table.querySelector('.edit-row');
+  if (!editor) return;
+  const t = txnById(EDITING_ID);
+  const rows = editor.querySelector('.split-rows');
+  const bindRemove = (root) => root.querySelectorAll('.split-remove').forEach(b => b.addEventListener('click', () => b.closest('.split-row').remove()));
+  bindRemove(rows);
+  editor.querySelector('.add-split').addEventListener('click', () => {
+    rows.insertAdjacentHTML('beforeend', editor.querySelector('.split-row-template').innerHTML);
+    bindRemove(rows.lastElementChild);
+  });
+  editor.querySelector('.cancel-edit').addEventListener('click', () => { EDITING_ID = null; renderTransactionsTable(); });
+  editor.querySelector('.clear-edit').addEventListener('click', () => saveTxnEdit(t, null));
+  editor.querySelector('.save-edit').addEventListener('click', () => {
+    const splits = [...rows.querySelectorAll('.split-row')].map(r => ({
+      category: r.querySelector('.split-cat').value.trim().toUpperCase(),
+      amount: Math.abs(Number(r.querySelector('.split-amt').value) || 0),
+    })).filter(sp => sp.category && sp.amount);
+    const splitTotal = splits.reduce((a, sp) => a + sp.amount, 0);
+    if (splitTotal > Math.abs(t.amount) + 0.005) {
+      editor.querySelector('.edit-error').textContent = `Splits add up to ${splitTotal.toFixed(2)}, more than the transaction.`;
+      return;
+    }
+    const edit = {};
+    const category = editor.querySelector('.edit-category').value.trim().toUpperCase();
+    const note = editor.querySelector('.edit-note').value.trim();
+    if (category) edit.category = category;
+    if (note) edit.note = note;
+    if (splits.length) edit.splits = splits;
+    saveTxnEdit(t, Object.keys(edit).length ? edit : null);
+  });
+}
+
+function saveTxnEdit(t, edit) {
+  if (!t) return;
+  if (edit) TXN_EDITS[t.editKey] = edit; else delete TXN_EDITS[t.editKey];
+  saveTxnEdits();
+  EDITING_ID = null;
+  applyRulesAndRender({keepPage: true});
+}
+
+// --- Workspace backup / restore
+// One JSON file with everything SpendLite keeps in the browser. BACKUP_VERSION only changes when
+// the file layout does; older files are upgraded on restore, newer ones are refused.
+const BACKUP_FORMAT = 'spendlite-backup';
+const BACKUP_VERSION = 1;
+const BACKUP_KEYS = [
+  STORE_KEYS.RULES, STORE_KEYS.TXNS, STORE_KEYS.BATCHES, STORE_KEYS.EDITS, STORE_KEYS.FILTER, STORE_KEYS.MONTH,
+  STORE_KEYS.TXNS_COLLAPSED, STORE_KEYS.COLLAPSED_CATS, STORE_KEYS.PROFILES, STORE_KEYS.DATE_FORMAT,
+  STORE_KEYS.PAGE_SIZE, STORE_KEYS.SORT, STORE_KEYS.TOTALS_VIEW, STORE_KEYS.EXPORT_FORMAT, STORE_KEYS.ACCOUNT,
+  STORE_KEYS.DISMISSED,
+];
+let PENDING_RESTORE = null;
+
+function exportBackup() {
+  storeSet(STORE_KEYS.RULES, document.getElementById('rulesBox').value);
+  saveTxns();
+  const data = {};
+  for (const k of BACKUP_KEYS) data[k] = storeGet(k); // null for unset, so restoring clears it
+  const backup = { format: BACKUP_FORMAT, version: BACKUP_VERSION, exportedAt: new Date().toISOString(), data };
+  downloadText(JSON.stringify(backup, null, 2), `spendlite_backup_${isoDay(new Date())}.json`, 'application/json');
+}
+
+// Returns { data } or { error }
+function validateBackup(obj) {
+  if (!obj || typeof obj !== 'object' || obj.format !== BACKUP_FORMAT) return { error: 'This is not a SpendLite backup file.' };
+  if (!Number.isInteger(obj.version) || obj.version < 1) return { error: 'The backup has no valid version number.' };
+  if (obj.version > BACKUP_VERSION) return { error: `The backup was made by a newer SpendLite (format v${obj.version}); this page reads up to v${BACKUP_VERSION}.` };
+  const data = obj.data;
+  if (!data || typeof data !== 'object') return { error: 'The backup contains no data.' };
+  const isObj = (v) => v && typeof v === 'object' && !Array.isArray(v);
+  const checks = {
+    rules: (v) => typeof v === 'string',
+    txns: (v) => Array.isArray(v) && v.every(t => isObj(t) && typeof t.date === 'string' && Number.isFinite(t.amount) && typeof t.description === 'string'),
+    batches: (v) => Array.isArray(v) && v.every(b => isObj(b) && Number.isInteger(b.id)),
+    edits: isObj,
+    filter: (v) => v == null || typeof v === 'string',
+    month: (v) => typeof v === 'string',
+    txnsCollapsed: (v) => typeof v === 'boolean',
+    collapsedCats: (v) => Array.isArray(v),
+    profiles: (v) => Array.isArray(v) && v.every(p => isObj(p) && p.id && p.name),
+    dateFormat: (v) => !!DATE_FORMATS[v],
+    pageSize: (v) => PAGE_SIZES.includes(v),
+    sort: isObj,
+    totalsView: (v) => v === 'detailed' || v === 'rollup',
+    exportFormat: (v) => !!EXPORT_FORMATS[v],
+    account: (v) => typeof v === 'string',
+    dismissed: (v) => Array.isArray(v) && v.every(id => typeof id === 'string'),
+  };
+  for (const [k, v] of Object.entries(data)) {
+    if (v != null && checks[k] && !checks[k](v)) return { error: `The backup's “${k}” section is damaged.` };
+  }
+  if (data.txns && data.txns.some(t => t.batchId != null && !(data.batches || []).some(b => b.id === t.batchId))) {
+    return { error: 'The backup has transactions that belong to no import batch.' };
+  }
+  // Keys missing from the file (older backups) count as unset, like null
+  const clean = {};
+  for (const k of BACKUP_KEYS) clean[k] = data[k] ?? null;
+  return { data: clean, exportedAt: obj.exportedAt };
+}
+
+async function importBackupFile(file) {
+  let parsed;
+  try { parsed = JSON.parse(await readFileText(file)); }
+  catch { showRestorePreview({ error: `“${file.name}” is not valid JSON.` }); return; }
+  showRestorePreview(validateBackup(parsed), file.name);
+}
+
+function showRestorePreview(result, fileName = '') {
+  const panel = document.getElementById('restorePanel');
+  PENDING_RESTORE = result.data || null;
+  if (result.error) {
+    panel.innerHTML = `<p class="restore-error">${escapeHtml(result.error)} Nothing was changed.</p>`;
+    panel.hidden = false;
+    return;
+  }
+  const d = result.data;
+  const lines = (text) => String(text || '').split(/\r?\n/).filter(l => l.trim() && !l.trim().startsWith('#')).length;
+  const rows = [
+    ['Rules', `${lines(document.getElementById('rulesBox').value)} lines`, `${lines(d.rules)} lines`],
+    ['Transactions', `${CURRENT_TXNS.length} in ${IMPORT_BATCHES.length} imports`, `${(d.txns || []).length} in ${(d.batches || []).length} imports`],
+    ['Manual edits', `${Object.keys(TXN_EDITS).length}`, `${Object.keys(d.edits || {}).length}`],
+    ['Period filter', periodLabel(MONTH_FILTER), periodLabel(d.month || '')],
+    ['Category filter', CURRENT_FILTER ? toTitleCase(CURRENT_FILTER) : 'None', d.filter ? toTitleCase(d.filter) : 'None'],
+    ['Account filter', ACCOUNT_FILTER || 'All accounts', d.account || 'All accounts'],
+    ['Import profiles', `${loadCustomProfiles().length}`, `${(d.profiles || []).length}`],
+  ];
+  const when = result.exportedAt ? ` from ${new Date(result.exportedAt).toLocaleString()}` : '';
+  panel.innerHTML = `<p>Restoring <strong>${escapeHtml(fileName)}</strong>${escapeHtml(when)} will replace:</p>
+    <table class="restore-diff"><tr><th></th><th>Now</th><th>From backup</th></tr>
+    ${rows.map(([label, now, next]) => `<tr><td>${label}</td><td>${escapeHtml(now)}</td><td>${escapeHtml(next)}</td></tr>`).join('')}</table>
+    <p class="muted">Display settings (collapsed sections, sort order, page size, formats) are restored too.</p>
+    <div class="btn-row"><button id="confirmRestoreBtn">Replace my data</button><button id="cancelRestoreBtn" class="secondary">Cancel</button></div>`;
+  panel.hidden = false;
+  document.getElementById('confirmRestoreBtn').addEventListener('click', applyRestore);
+  document.getElementById('cancelRestoreBtn').addEventListener('click', () => { PENDING_RESTORE = null; panel.hidden = true; });
+}
+
+function applyRestore() {
+  const data = PENDING_RESTORE;
+  if (!data) return;
+  PENDING_RESTORE = null;
+  for (const [k, v] of Object.entries(data)) {
+    if (v == null) storeRemove(k); else storeSet(k, v);
+  }
+  document.getElementById('rulesBox').value = data.rules || '';
+  restoreStateFromStore();
+  flushStore();
+  const panel = document.getElementById('restorePanel');
+  panel.innerHTML = '<p>Backup restored.</p>';
+}
 
 function exportRules() {
   const text = document.getElementById('rulesBox').value || '';
@@ -472,69 +2440,334 @@ function importRulesFromFile(file) {
   reader.readAsText(file);
 }
 
+// --- Rule packs (merge import)
+// A merged pack lives between "@group NAME" and "@end", so importing a newer version of the same
+// pack replaces that block and leaves the user's own lines alone.
+let PENDING_MERGE = null; // { packText, fileName }
+
+// Comparable identity of a rules line: rules by their conditions (as upsertRuleLine matches them),
+// directives by category (and month). null for blanks, comments and group markers.
+function ruleLineKey(line) {
+  const t = String(line || '').trim();
+  if (!t || t.startsWith('#') || GROUP_DIRECTIVE.test(t) || GROUP_END.test(t)) return null;
+  let m;
+  if ((m = t.match(TYPE_DIRECTIVE))) return { key: `@TYPE ${m[1].trim().toUpperCase()}`, value: m[2].toLowerCase() };
+  if ((m = t.match(BUDGET_DIRECTIVE))) return { key: `@BUDGET ${m[1].trim().toUpperCase()}${m[2] ? ' ' + m[2] : ''}`, value: String(parseAmount(m[3])) };
+  const parts = t.split(/=>/i);
+  if (parts.length < 2) return null;
+  return { key: parts[0].trim().toUpperCase(), value: parts[1].trim().toUpperCase() };
+}
+
+// NAME (upper case) -> [{ start, end }] line indexes of its group blocks (end is exclusive, past "@end"
+// when present). A name used for more than one block lists them all; merging joins them into one.
+function ruleGroupRanges(lines) {
+  const ranges = new Map();
+  let open = null;
+  lines.forEach((line, i) => {
+    const t = line.trim();
+    const m = t.match(GROUP_DIRECTIVE);
+    if (m) {
+      if (open) open.end = i;
+      open = { start: i, end: lines.length };
+      const name = m[1].trim().toUpperCase();
+      (ranges.get(name) || ranges.set(name, []).get(name)).push(open);
+    } else if (open && GROUP_END.test(t)) {
+      open.end = i + 1;
+      open = null;
+    }
+  });
+  return ranges;
+}
+
+// Sorts the pack's lines into new, already in the group, identical and conflicting (against the user's lines outside the group)
+function planRuleMerge(text, packText, group) {
+  const lines = String(text || '').split(/\r?\n/);
+  const blocks = ruleGroupRanges(lines).get(group.toUpperCase()) || [];
+  const inGroup = (i) => blocks.some(b => i >= b.start && i < b.end);
+  const own = new Map();
+  const previous = new Set(); // key|value of the lines already in the group
+  lines.forEach((line, i) => {
+    const k = ruleLineKey(line);
+    if (k && inGroup(i)) previous.add(`${k.key}|${k.value}`);
+    else if (k && own.has(k.key)) own.get(k.key).indexes.push(i);
+    else if (k) own.set(k.key, { index: i, indexes: [i], value: k.value, text: line.trim() });
+  });
+  const packLines = String(packText || '').split(/\r?\n/).map(l => l.trim()).filter(l => !GROUP_DIRECTIVE.test(l) && !GROUP_END.test(l));
+  const items = packLines.map(text => {
+    const k = ruleLineKey(text);
+    if (!k) return { status: 'other', text };
+    const mine = own.get(k.key);
+    if (!mine) return { status: previous.has(`${k.key}|${k.value}`) ? 'kept' : 'new', text, key: k.key };
+    return { status: mine.value === k.value ? 'same' : 'conflict', text, key: k.key, mine };
+  });
+  const packKeys = new Set(items.filter(it => it.key).map(it => it.key));
+  const dropped = blocks.flatMap(b => lines.slice(b.start, b.end)).filter(l => { const k = ruleLineKey(l); return k && !packKeys.has(k.key); });
+  return { group, lines, blocks, items, dropped };
+}
+
+// choices[i] is 'theirs' to take the pack's line for conflict i (and drop every line of the user's with that key), otherwise the user's line stays
+function applyRuleMerge(plan, choices = {}) {
+  const removed = new Set();
+  const body = [];
+  plan.items.forEach((it, i) => {
+    if (it.status === 'same') return;
+    if (it.status === 'conflict') {
+      if (choices[i] !== 'theirs') return;
+      it.mine.indexes.forEach(i => removed.add(i));
+    }
+    body.push(it.text);
+  });
+  while (body.length && !body[body.length - 1]) body.pop();
+  while (body.length && !body[0]) body.shift();
+  const block = [`@group ${plan.group}`, ...body, '@end'];
+  // The merged group takes the place of its first block; any later blocks of the same name go
+  const out = [];
+  const inGroup = (i) => plan.blocks.some(b => i >= b.start && i < b.end);
+  plan.lines.forEach((line, i) => {
+    if (plan.blocks.length && i === plan.blocks[0].start) out.push(...block);
+    if (removed.has(i) || inGroup(i)) return;
+    out.push(line);
+  });
+  if (!plan.blocks.length) {
+    while (out.length && !out[out.length - 1].trim()) out.pop();
+    if (out.length) out.push('');
+    out.push(...block);
+  }
+  return out.join('\n');
+}
+
+async function mergeRulesFromFile(file) {
+  let text;
+  try { text = await readFileText(file); }
+  catch (err) {
+    PENDING_MERGE = null;
+    const panel = document.getElementById('mergePanel');
+    panel.innerHTML = `<p class="restore-error">“${escapeHtml(file.name)}” could not be read (${escapeHtml(err && err.message || err)}). Nothing was changed.</p>`;
+    panel.hidden = false;
+    return;
+  }
+  const named = String(text).split(/\r?\n/).map(l => l.trim().match(GROUP_DIRECTIVE)).find(Boolean);
+  PENDING_MERGE = { packText: text, fileName: file.name };
+  showMergePreview(named ? named[1].trim() : file.name.replace(/\.[^.]+$/, ''));
+}
+
+function showMergePreview(group) {
+  const panel = document.getElementById('mergePanel');
+  if (!PENDING_MERGE) { panel.hidden = true; return; }
+  const plan = planRuleMerge(document.getElementById('rulesBox').value, PENDING_MERGE.packText, group);
+  const by = (status) => plan.items.map((it, i) => ({ ...it, i })).filter(it => it.status === status);
+  const fresh = by('new'), kept = by('kept'), same = by('same'), conflicts = by('conflict');
+  const list = (items) => `<ul class="merge-list">${items.map(it => `<li><code>${escapeHtml(it.text)}</code></li>`).join('')}</ul>`;
+  let html = `<p>Merging <strong>${escapeHtml(PENDING_MERGE.fileName)}</strong> into group
+    <input type="text" id="mergeGroup" value="${escapeHtml(group)}" aria-label="Group name">
+    ${!plan.blocks.length ? '<span class="muted">– new group, added after your rules</span>'
+      : plan.blocks.length > 1 ? `<span class="muted">– replaces the rules in this group's ${plan.blocks.length} blocks, joined into one</span>`
+      : '<span class="muted">– replaces the rules already in this group</span>'}</p>`;
+  html += `<p>${fresh.length} new · ${kept.length ? `${kept.length} already in the group · ` : ''}${same.length} identical to yours (skipped) · ${conflicts.length} conflicting` +
+          (plan.dropped.length ? ` · ${plan.dropped.length} no longer in the pack` : '') + '</p>';
+  if (conflicts.length) {
+    html += '<table class="zebra merge-conflicts"><thead><tr><th>Your rule</th><th>Pack rule</th><th>Keep</th></tr></thead><tbody>' +
+      conflicts.map(it => `<tr>
+        <td><code>${escapeHtml(it.mine.text)}</code> <span class="muted">line${it.mine.indexes.length > 1 ? 's' : ''} ${it.mine.indexes.map(i => i + 1).join(', ')}</span></td>
+        <td><code>${escapeHtml(it.text)}</code></td>
+        <td><label><input type="radio" name="merge-${it.i}" value="mine" checked> Mine</label>
+            <label><input type="radio" name="merge-${it.i}" value="theirs"> Pack's</label></td>
+      </tr>`).join('') + '</tbody></table>';
+  }
+  if (fresh.length) html += `<details><summary>New rules (${fresh.length})</summary>${list(fresh)}</details>`;
+  if (same.length) html += `<details><summary>Identical rules (${same.length})</summary>${list(same)}</details>`;
+  if (plan.dropped.length) html += `<details><summary>Removed from the group (${plan.dropped.length})</summary>${list(plan.dropped.map(text => ({ text })))}</details>`;
+  html += '<div class="btn-row"><button id="confirmMergeBtn">Merge rules</button><button id="cancelMergeBtn" class="secondary">Cancel</button></div>';
+  panel.innerHTML = html;
+  panel.hidden = false;
+
+  const groupInput = document.getElementById('mergeGroup');
+  groupInput.addEventListener('change', () => showMergePreview(groupInput.value.trim() || group));
+  document.getElementById('cancelMergeBtn').addEventListener('click', () => { PENDING_MERGE = null; panel.hidden = true; });
+  document.getElementById('confirmMergeBtn').addEventListener('click', () => {
+    const choices = {};
+    for (const it of conflicts) choices[it.i] = panel.querySelector(`input[name="merge-${it.i}"]:checked`).value;
+    document.getElementById('rulesBox').value = applyRuleMerge(plan, choices);
+    PENDING_MERGE = null;
+    panel.innerHTML = `<p>Merged into group “${escapeHtml(group)}”.</p>`;
+    applyRulesAndRender();
+  });
+}
+
 function escapeHtml(s) {
   return String(s).replace(/&/g,'&amp;').replace(/</g,'&lt;').replace(/>/g,'&gt;').replace(/"/g,'&quot;').replace(/'/g,'&#039;');
 }
 
 // UI wiring
-document.getElementById('csvFile').addEventListener('change', (e) => {
-  const file = e.target.files?.[0]; if (!file) return;
-  const reader = new FileReader();
-  reader.onload = () => { loadCsvText(reader.result); };
-  reader.readAsText(file);
+function readFileText(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result || '');
+    reader.onerror = () => reject(reader.error);
+    reader.readAsText(file);
+  });
+}
+document.getElementById('csvFile').addEventListener('change', async (e) => {
+  const files = Array.from(e.target.files || []); if (!files.length) return;
+  const profileId = document.getElementById('importProfile').value;
+  IMPORT_SUMMARY = [];
+  for (const file of files) {
+    try {
+      const text = await readFileText(file);
+      loadStatementText(text, file.name, profileId, await parseInWorker(text, file.name, profileId));
+    }
+    catch (err) {
+      setImportStatus(`Could not read “${file.name}”: ${err && err.message || err}`);
+      IMPORT_SUMMARY.push({ name: file.name, notImported: `could not be read: ${err && err.message || err}` });
+      renderImportSummary();
+    }
+  }
+  e.target.value = ''; // allow re-selecting the same file later
+});
+document.getElementById('clearImportsBtn').addEventListener('click', clearAllImports);
+document.getElementById('dateFormat').addEventListener('change', (e) => {
+  DATE_FORMAT = e.target.value || 'auto';
+  storeSet(STORE_KEYS.DATE_FORMAT, DATE_FORMAT);
+  if (CURRENT_TXNS.length && confirm(`Re-read the dates of the loaded transactions as ${DATE_FORMATS[DATE_FORMAT]}?`)) {
+    applyDateFormatToLoaded(DATE_FORMAT);
+  }
 });
+document.getElementById('map_mode').addEventListener('change', updateMappingModeUI);
+document.getElementById('mapImportBtn').addEventListener('click', applyMapping);
+document.getElementById('mapCancelBtn').addEventListener('click', () => { skipPendingImport('mapping cancelled'); setImportStatus('Import cancelled.'); });
 document.getElementById('recalculateBtn').addEventListener('click', applyRulesAndRender);
 document.getElementById('exportRulesBtn').addEventListener('click', exportRules);
+document.getElementById('exportBackupBtn').addEventListener('click', exportBackup);
+document.getElementById('restoreBackupBtn').addEventListener('click', () => document.getElementById('restoreBackupInput').click());
+document.getElementById('restoreBackupInput').addEventListener('change', (e) => {
+  const f = e.target.files && e.target.files[0]; if (f) importBackupFile(f);
+  e.target.value = '';
+});
 document.getElementById('exportTotalsBtn').addEventListener('click', exportTotals);
+document.getElementById('exportTxnsBtn').addEventListener('click', exportTransactions);
+document.getElementById('exportFormat').addEventListener('change', (e) => {
+  EXPORT_FORMAT = EXPORT_FORMATS[e.target.value] ? e.target.value : 'txt';
+  storeSet(STORE_KEYS.EXPORT_FORMAT, EXPORT_FORMAT);
+});
+document.getElementById('totalsView').addEventListener('change', (e) => {
+  TOTALS_VIEW = e.target.value === 'rollup' ? 'rollup' : 'detailed';
+  storeSet(STORE_KEYS.TOTALS_VIEW, TOTALS_VIEW);
+});
 document.getElementById('importRulesBtn').addEventListener('click', () => document.getElementById('importRulesInput').click());
 document.getElementById('importRulesInput').addEventListener('change', (e) => {
   const f = e.target.files && e.target.files[0]; if (f) importRulesFromFile(f);
 });
+document.getElementById('mergeRulesBtn').addEventListener('click', () => document.getElementById('mergeRulesInput').click());
+document.getElementById('mergeRulesInput').addEventListener('change', (e) => {
+  const f = e.target.files && e.target.files[0]; if (f) mergeRulesFromFile(f);
+  e.target.value = '';
+});
 document.getElementById('clearFilterBtn').addEventListener('click', () => {
-  CURRENT_FILTER = null; try { localStorage.removeItem(LS_KEYS.FILTER); } catch {}
+  CURRENT_FILTER = null; storeRemove(STORE_KEYS.FILTER);
   updateFilterUI(); CURRENT_PAGE = 1; renderTransactionsTable(); renderMonthTotals(monthFilteredTxns());
 });
+document.getElementById('accountFilter').addEventListener('change', (e) => setAccountFilter(e.target.value));
 document.getElementById('clearMonthBtn').addEventListener('click', () => {
-  MONTH_FILTER = ""; try { localStorage.removeItem(LS_KEYS.MONTH); } catch {}
+  MONTH_FILTER = ""; storeRemove(STORE_KEYS.MONTH);
   document.getElementById('monthFilter').value = "";
+  showCustomRange(false);
   updateMonthBanner();
   CURRENT_PAGE = 1;
   applyRulesAndRender();
 });
 document.getElementById('monthFilter').addEventListener('change', (e) => {
-  MONTH_FILTER = e.target.value || "";
-  try { localStorage.setItem(LS_KEYS.MONTH, MONTH_FILTER); } catch {}
-  updateMonthBanner();
-  CURRENT_PAGE = 1;
-  applyRulesAndRender();
+  if (e.target.value === '__custom') { e.target.value = MONTH_FILTER; showCustomRange(true); return; }
+  showCustomRange(false);
+  setMonthFilter(e.target.value);
+});
+document.getElementById('applyRangeBtn').addEventListener('click', applyCustomRange);
+['txnSearch', 'amountMin', 'amountMax'].forEach(id => document.getElementById(id).addEventListener('input', readSearchInputs));
+document.getElementById('pageSize').addEventListener('change', (e) => setPageSize(Number(e.target.value)));
+document.getElementById('trendsDetails').addEventListener('toggle', renderTrends);
+document.getElementById('recurringDetails').addEventListener('toggle', renderRecurring);
+document.getElementById('unusualDetails').addEventListener('toggle', renderUnusual);
+document.getElementById('suggestDetails').addEventListener('toggle', renderRuleSuggestions);
+document.getElementById('ruleDiagDetails').addEventListener('toggle', renderRuleDiagnostics);
+['ruleKeyword', 'ruleCategory'].forEach(id => document.getElementById(id).addEventListener('input', updateRulePreview));
+document.getElementById('rulePosition').addEventListener('change', updateRulePreview);
+document.getElementById('ruleSaveBtn').addEventListener('click', saveRuleFromDialog);
+document.getElementById('ruleCancelBtn').addEventListener('click', closeRuleDialog);
+document.getElementById('ruleDialog').addEventListener('keydown', (e) => {
+  if (e.key === 'Escape') closeRuleDialog();
+  else if (e.key === 'Enter' && e.target.tagName === 'INPUT' && !document.getElementById('ruleSaveBtn').disabled) saveRuleFromDialog();
 });
+document.getElementById('ruleDialog').addEventListener('click', (e) => { if (e.target.id === 'ruleDialog') closeRuleDialog(); });
 
 window.addEventListener('DOMContentLoaded', async () => {
+  await openStore();
+
   // Restore rules
   let restored = false;
-  try { const saved = localStorage.getItem(LS_KEYS.RULES); if (saved && saved.trim()) { document.getElementById('rulesBox').value = saved; restored = true; } } catch {}
+  const saved = storeGet(STORE_KEYS.RULES, '');
+  if (saved && saved.trim()) { document.getElementById('rulesBox').value = saved; restored = true; }
   if (!restored) {
-    try { const res = await fetch('rules.txt'); const text = await res.text(); document.getElementById('rulesBox').value = text; restored = true; } catch {}
+    try { const res = await fetch('rules.txt'); const text = await res.text(); document.getElementById('rulesBox').value = withPetrolCoffeeRule(text); restored = true; } catch {}
   }
   if (!restored) document.getElementById('rulesBox').value = SAMPLE_RULES;
 
-  // Restore filters
-  try { const savedFilter = localStorage.getItem(LS_KEYS.FILTER); CURRENT_FILTER = savedFilter && savedFilter.trim() ? savedFilter.toUpperCase() : null; } catch {}
-  try { const savedMonth = localStorage.getItem(LS_KEYS.MONTH); MONTH_FILTER = savedMonth || ""; } catch {}
+  restoreStateFromStore();
+});
 
+// Pull filters, view settings and transactions out of the store and re-render (start-up and backup restore)
+function restoreStateFromStore() {
+  const savedFilter = storeGet(STORE_KEYS.FILTER, null);
+  CURRENT_FILTER = savedFilter && String(savedFilter).trim() ? String(savedFilter).toUpperCase() : null;
+  MONTH_FILTER = storeGet(STORE_KEYS.MONTH, '') || '';
+  ACCOUNT_FILTER = storeGet(STORE_KEYS.ACCOUNT, '') || '';
+  UNUSUAL_DISMISSED = new Set(storeGet(STORE_KEYS.DISMISSED, []) || []);
+  loadTxnEdits();
+  loadCollapsedCats();
+  // Anything not saved goes back to its default (a restored backup may have cleared it)
+  TOTALS_VIEW = storeGet(STORE_KEYS.TOTALS_VIEW) === 'rollup' ? 'rollup' : 'detailed';
+  document.getElementById('totalsView').value = TOTALS_VIEW;
+  const savedExport = storeGet(STORE_KEYS.EXPORT_FORMAT);
+  EXPORT_FORMAT = EXPORT_FORMATS[savedExport] ? savedExport : 'txt';
+  document.getElementById('exportFormat').value = EXPORT_FORMAT;
+  const savedSize = storeGet(STORE_KEYS.PAGE_SIZE);
+  PAGE_SIZE = savedSize != null && PAGE_SIZES.includes(Number(savedSize)) ? Number(savedSize) : 10;
+  const savedSort = storeGet(STORE_KEYS.SORT);
+  TXN_SORT = savedSort && (TXN_SORTERS[savedSort.key] || !savedSort.key) ? { key: savedSort.key, dir: savedSort.dir === -1 ? -1 : 1 } : { key: '', dir: 1 };
+  document.getElementById('pageSize').value = String(PAGE_SIZE);
+  const savedDateFormat = storeGet(STORE_KEYS.DATE_FORMAT);
+  DATE_FORMAT = DATE_FORMATS[savedDateFormat] ? savedDateFormat : 'auto';
+
+  // Restore transactions and their import batches
+  CURRENT_TXNS = storeGet(STORE_KEYS.TXNS, []) || [];
+  NEXT_TXN_ID = CURRENT_TXNS.reduce((max, t) => Math.max(max, Number(t.id) || 0), 0) + 1; // no spread: could be 100k+ rows
+  normalizeLoadedTxns(CURRENT_TXNS);
+  migrateTxnEdits();
+  migrateDismissedUnusual();
+  IMPORT_BATCHES = (storeGet(STORE_KEYS.BATCHES, []) || []).map(b => ({ suspected: [], ...b, ...dateReport(CURRENT_TXNS.filter(t => t.batchId === b.id)) }));
+  NEXT_BATCH_ID = Math.max(0, ...IMPORT_BATCHES.map(b => b.id)) + 1;
+
+  rebuildDateFormatSelects();
+  rebuildProfileSelect();
+  applyTxnsCollapsedUI();
   updateFilterUI(); CURRENT_PAGE = 1;
+  rebuildMonthDropdown();
+  rebuildAccountControls();
+  IMPORT_SUMMARY = [];
+  applyRulesAndRender();
+  renderImportSummary();
   updateMonthBanner();
-});
+}
 
 const SAMPLE_RULES = `# Rules format: KEYWORD => CATEGORY
+# Small purchases at the servo are coffee, not fuel
+category:PETROL amount<=2 => COFFEE
 `;
 
 // --- Transactions collapse logic ---
 function isTxnsCollapsed() {
-  try { return localStorage.getItem(LS_KEYS.TXNS_COLLAPSED) !== 'false'; } catch { return true; }
+  return storeGet(STORE_KEYS.TXNS_COLLAPSED, true) !== false;
 }
 function setTxnsCollapsed(v) {
-  try { localStorage.setItem(LS_KEYS.TXNS_COLLAPSED, v ? 'true' : 'false'); } catch {}
+  storeSet(STORE_KEYS.TXNS_COLLAPSED, !!v);
 }
 function applyTxnsCollapsedUI() {
   const body = document.getElementById('transactionsBody');
@@ -548,15 +2781,12 @@ function toggleTransactions() {
   setTxnsCollapsed(!collapsed);
   applyTxnsCollapsedUI();
 }
-document.addEventListener('DOMContentLoaded', () => {
-  applyTxnsCollapsedUI();
-});
 
 
 function renderPager(totalPages) {
   const pager = document.getElementById('pager');
   if (!pager) return;
-  const pages = totalPages || 1;
+  const pages = PAGE_COUNT = totalPages || 1;
   const cur = CURRENT_PAGE;
 
   function pageButton(label, page, disabled=false, isActive=false) {
@@ -592,33 +2822,17 @@ function renderPager(totalPages) {
     });
   });
 
-  // Wheel to flip pages
+  // Wheel to flip pages (bound once, so it reads the page count from PAGE_COUNT)
   const table = document.getElementById('transactionsTable');
   if (table && !table._wheelBound) {
     table.addEventListener('wheel', (e) => {
-      if (pages <= 1) return;
-      if (e.deltaY > 0 && CURRENT_PAGE < pages) { CURRENT_PAGE++; renderTransactionsTable(); }
+      if (PAGE_COUNT <= 1) return;
+      if (e.deltaY > 0 && CURRENT_PAGE < PAGE_COUNT) { CURRENT_PAGE++; renderTransactionsTable(); }
       else if (e.deltaY < 0 && CURRENT_PAGE > 1) { CURRENT_PAGE--; renderTransactionsTable(); }
     }, { passive: true });
     table._wheelBound = true;
   }
 }
 
-
-function saveTxnsToLocalStorage(){
-  try {
-    const data = JSON.stringify(CURRENT_TXNS||[]);
-    localStorage.setItem(LS_KEYS.TXNS_JSON, data);
-    // mirror-save to standard keys for Advanced mode
-    localStorage.setItem('spendlite_txns_json_v7', data);
-    localStorage.setItem('spendlite_txns_json', data);
-  } catch {}
-}
-
-// Ensure banner shows a friendly label on load
-document.addEventListener('DOMContentLoaded', () => { try { updateMonthBanner(); } catch (e) {} });
-
-// Save transactions right before leaving the page (safety net when switching to Advanced)
-window.addEventListener('beforeunload', () => {
-  try { localStorage.setItem(LS_KEYS.TXNS_JSON, JSON.stringify(CURRENT_TXNS||[])); } catch {}
-});
+// Push any queued writes out before the page goes away
+window.addEventListener('pagehide', () => { flushStore(); });
@@ -0,0 +1,127 @@
+// Unit tests for the DOM-free helpers in core.js: node --test (or npm test)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const core = require('../core.js');
+
+test('parseCsv reads quoted fields, doubled quotes, newlines in quotes and skips blank lines', () => {
+  const rows = core.parseCsv('﻿Date,Description,Amount\n\n03/04/2025,"COLES, ST KILDA",-12.50\n04/04/2025,"He said ""hi""",1\n05/04/2025,"two\nlines",2\n');
+  assert.deepEqual(rows, [
+    ['Date', 'Description', 'Amount'],
+    ['03/04/2025', 'COLES, ST KILDA', '-12.50'],
+    ['04/04/2025', 'He said "hi"', '1'],
+    ['05/04/2025', 'two\nlines', '2'],
+  ]);
+});
+
+test('parseCsv takes the delimiter from the first line', () => {
+  assert.deepEqual(core.parseCsv('a;b;c\n1;2,5;3'), [['a', 'b', 'c'], ['1', '2,5', '3']]);
+  assert.deepEqual(core.parseCsv('a\tb\n1\t2'), [['a', 'b'], ['1', '2']]);
+  assert.deepEqual(core.parseCsv(''), []);
+});
+
+test('parseRules orders by priority, keeps line numbers and reports bad lines', () => {
+  const rules = core.parseRules('COLES => GROCERIES\npriority:5 SHELL => PETROL\ncategory:PETROL amount<=2 => COFFEE\nno arrow here');
+  assert.deepEqual(rules.map(r => [r.category, r.line]), [['PETROL', 2], ['GROCERIES', 1], ['COFFEE', 3]]);
+  assert.equal(rules[2].fromCategory, 'PETROL');
+  assert.deepEqual(rules.errors.map(e => e.line), [4]);
+});
+
+test('categorise applies the first matching rule, then refinements of its category', () => {
+  const rules = core.parseRules('SHELL => PETROL\nCOLES => GROCERIES\nCOLES EXPRESS => PETROL\ncategory:PETROL amount<=2 => COFFEE');
+  const txns = [
+    { description: 'SHELL 123', amount: 60 },
+    { description: 'SHELL 123', amount: 1.5 },
+    { description: 'COLES EXPRESS 9', amount: 40 },
+    { description: 'NETFLIX', amount: 15 },
+  ];
+  core.categorise(txns, rules);
+  assert.deepEqual(txns.map(t => t.category), ['PETROL', 'COFFEE', 'GROCERIES', 'UNCATEGORISED']);
+});
+
+test('categorise with the keyword index matches a plain first-match scan', () => {
+  // Deterministic pseudo-random data; short and overlapping keywords exercise the index fallback
+  let seed = 42;
+  const rnd = (n) => { seed = (seed * 1103515245 + 12345) % 2147483648; return (seed >>> 8) % n; };
+  const words = ['coles', 'cole', 'woolworths', 'wool', 'shell', 'bp', 'uber', 'uber eats', 'eats', 'kmart', 'netflix', 'amazon', 'amazon prime', 'at', 'x'];
+  const cats = ['GROCERIES', 'PETROL', 'FOOD', 'HOUSEHOLD', 'SUBS'];
+  const lines = [];
+  for (let i = 0; i < 200; i++) {
+    const from = rnd(8) === 0 ? `category:${cats[rnd(cats.length)]} ` : '';
+    const extra = ['', '', ` amount>${rnd(80)}`, ' type:debit', ` not:${words[rnd(words.length)]}`, ` priority:${rnd(3)}`][rnd(6)];
+    const match = rnd(15) === 0 ? `/${words[rnd(words.length)]}\\s/` : words[rnd(words.length)].toUpperCase();
+    lines.push(`${from}${match}${extra} => ${cats[rnd(cats.length)]}`);
+  }
+  lines.push('amount>500 => BIG');
+  const rules = core.parseRules(lines.join('\n'));
+  const txns = Array.from({ length: 2000 }, (_, i) => ({
+    description: `${words[rnd(words.length)].toUpperCase()} ${words[rnd(words.length)].toUpperCase()} ${i}`,
+    amount: rnd(1000) - 200, date: '2025-04-03', day: '2025-04-03',
+  }));
+
+  const plain = (t) => {
+    const desc = t.description.toLowerCase();
+    const base = rules.filter(r => !r.fromCategory).find(r => core.ruleMatches(r, t, desc));
+    if (!base) return 'UNCATEGORISED';
+    const refined = rules.filter(r => r.fromCategory === base.category).find(r => core.ruleMatches(r, t, desc));
+    return refined ? refined.category : base.category;
+  };
+  const indexed = txns.map(t => ({ ...t }));
+  core.categorise(indexed, rules);
+  assert.deepEqual(indexed.map(t => t.category), txns.map(plain));
+});
+
+test('regex rules ignore g and y and stay case-insensitive without other flags', () => {
+  const rules = core.parseRules('/uber\\s*eats/g => FOOD\n/shell/y => PETROL\n/Coles/gm => GROCERIES');
+  const txns = [{ description: 'UBER EATS SYD', amount: 20 }, { description: 'SHELL 1', amount: 50 }, { description: 'SHELL 2', amount: 50 }, { description: 'COLES 3', amount: 9 }];
+  core.categorise(txns, rules);
+  assert.deepEqual(txns.map(t => t.category), ['FOOD', 'PETROL', 'PETROL', 'UNCATEGORISED']);
+});
+
+test('computeCategoryTotals splits spending, income and transfers', () => {
+  const types = core.parseCategoryTypes('@type SALARY income\n@type SAVINGS transfer');
+  const txns = [
+    { category: 'GROCERIES', amount: 100 },
+    { category: 'GROCERIES', amount: -20 },            // refund nets off spending
+    { category: 'FOOD:TAKEAWAY', amount: 30 },
+    { category: 'SALARY', amount: -2000 },
+    { category: 'UNCATEGORISED', amount: -50 },        // unexplained credit counts as income
+    { category: 'SAVINGS', amount: 500 },
+    { category: 'HOUSEHOLD', amount: 80, transfer: true },
+    { category: 'GROCERIES', amount: 60, splits: [{ category: 'HOUSEHOLD', amount: 25 }] },
+  ];
+  const { rows, grand, income, transfers } = core.computeCategoryTotals(txns, types);
+  assert.deepEqual(rows, [['GROCERIES', 115], ['FOOD:TAKEAWAY', 30], ['HOUSEHOLD', 25]]);
+  assert.equal(grand, 170);
+  assert.deepEqual(income, { rows: [['SALARY', 2000], ['UNCATEGORISED', 50]], total: 2050 });
+  assert.deepEqual(transfers, { count: 2, total: 580 });
+});
+
+test('totalsModel counts subcategory spending against a parent budget in the detailed view', () => {
+  const txns = [
+    { category: 'FOOD:GROCERIES', amount: 120, date: '2025-04-03', day: '2025-04-03' },
+    { category: 'FOOD:TAKEAWAY', amount: 60, date: '2025-04-04', day: '2025-04-04' },
+    { category: 'PETROL', amount: 50, date: '2025-04-05', day: '2025-04-05' },
+  ];
+  const m = core.totalsModel(txns, { budgets: core.parseBudgets('@budget FOOD 300\n@budget FOOD:TAKEAWAY 50') });
+  const byCat = Object.fromEntries(m.spending.rows.map(r => [r.cat, [r.total, r.budget, r.remaining]]));
+  assert.deepEqual(byCat, { 'FOOD:GROCERIES': [120, null, null], 'FOOD:TAKEAWAY': [60, 50, -10], PETROL: [50, null, null], FOOD: [0, 300, 120] });
+  assert.equal(m.spending.total, 230);
+  assert.equal(m.spending.budget, 300);
+});
+
+test('totalsModel and formatTotalsJson give the export shape', () => {
+  const txns = [
+    { category: 'FOOD:GROCERIES', amount: 75, date: '2025-04-03', day: '2025-04-03' },
+    { category: 'FOOD:TAKEAWAY', amount: 25, date: '2025-04-04', day: '2025-04-04' },
+    { category: 'SALARY', amount: -1000, date: '2025-04-05', day: '2025-04-05' },
+  ];
+  const m = core.totalsModel(txns, { types: core.parseCategoryTypes('@type SALARY income'), budgets: core.parseBudgets('@budget FOOD 150'), rollup: true, label: 'April 2025' });
+  const json = JSON.parse(core.formatTotalsJson(m, { periodKey: '2025-04' }));
+  assert.deepEqual(json, {
+    period: 'April 2025', periodKey: '2025-04', view: 'rollup',
+    spending: { categories: [{ category: 'FOOD', amount: 100, percent: 100, budget: 150, remaining: 50 }], total: 100, budget: 150, remaining: 50 },
+    income: { categories: [{ category: 'SALARY', amount: 1000, percent: 100 }], total: 1000 },
+    net: 900,
+    transfers: { count: 0, total: 0 },
+  });
+});
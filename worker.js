@@ -0,0 +1,36 @@
+// Background jobs for script.js (see runInWorker): parsing large statements and categorising
+// large histories, posting progress so the page can show how far along it is.
+importScripts('core.js');
+
+const PROGRESS_EVERY = 5000;
+let TXNS = []; // the page's transactions as of the last 'load' (description, amount and dates only)
+
+const JOBS = {
+  parse({ text, fileName, profile, profiles }) {
+    const parsed = parseStatement(text, fileName, profile, profiles);
+    if (parsed.txns && parsed.txns.length) delete parsed.rows; // only the mapping panel needs them
+    return parsed;
+  },
+  load({ txns }) {
+    TXNS = txns;
+    return TXNS.length;
+  },
+  categorise({ rulesText }, progress) {
+    const categories = [];
+    categorise(TXNS, parseRules(rulesText), (t) => {
+      categories.push(t.category);
+      if (categories.length % PROGRESS_EVERY === 0) progress(categories.length, TXNS.length);
+    });
+    return categories;
+  },
+};
+
+self.onmessage = (e) => {
+  const { id, type } = e.data;
+  const progress = (done, total) => self.postMessage({ id, type: 'progress', done, total });
+  try {
+    self.postMessage({ id, type: 'done', result: JOBS[type](e.data, progress) });
+  } catch (err) {
+    self.postMessage({ id, type: 'error', message: String((err && err.message) || err) });
+  }
+};